@@ -0,0 +1,129 @@
+// Reference sync server for the stat tracker: an append-only op log over HTTP,
+// with no dependencies beyond Node.
+//
+//   GET  /ops?since=N   -> { ops: [up to PAGE ops after the first N], cursor, more }
+//   POST /ops           <- { ops: [...] }   -> { cursor }
+//
+// Clients keep pulling from `cursor` while `more` is set, and push in batches
+// that fit under MAX_BODY; a bigger body gets a 413.
+//
+// Devices resolve conflicts themselves (the highest stamp wins per record), so
+// the server only stores ops and replays them in the order they arrived.
+//
+//   PORT=8787 DATA=./sync-data.ndjson TOKEN=secret node server/sync-server.mjs
+//
+// DATA holds one op per line; each POST appends its ops. TOKEN is optional;
+// when set, clients must send it as a Bearer token.
+
+import http from "node:http";
+import fs from "node:fs";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA = process.env.DATA || "sync-data.ndjson";
+const TOKEN = process.env.TOKEN || "";
+const MAX_BODY = 20 * 1024 * 1024;
+const PAGE = 1000;
+
+const ops = load();
+
+// A crash mid-append can leave a partial last line; it's cut off so the next
+// append starts on a fresh line.
+function load() {
+  if (!fs.existsSync(DATA)) return [];
+  const text = fs.readFileSync(DATA, "utf8");
+  const end = text.lastIndexOf("\n") + 1;
+  if (end < text.length) {
+    console.warn(`Dropping a partial op at the end of ${DATA}`);
+    fs.truncateSync(DATA, Buffer.byteLength(text.slice(0, end)));
+  }
+  return text
+    .slice(0, end)
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+// Appends run one at a time, so the file and the cursor both follow the order
+// batches were accepted in.
+let writing = Promise.resolve();
+function append(batch) {
+  const done = writing.then(async () => {
+    await fs.promises.appendFile(DATA, batch.map((op) => `${JSON.stringify(op)}\n`).join(""));
+    ops.push(...batch);
+    return ops.length;
+  });
+  writing = done.catch(() => {});
+  return done;
+}
+
+const isOp = (op) =>
+  typeof op === "object" && op !== null && typeof op.key === "string" && typeof op.device === "string" && Number.isFinite(op.at);
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    ...headers,
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+class TooLarge extends Error {}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      data += chunk;
+      if (data.length > MAX_BODY) {
+        // Stop buffering; the handler answers and then drops the connection.
+        req.removeAllListeners("data");
+        reject(new TooLarge(`Body is over ${MAX_BODY} bytes; send the ops in smaller batches`));
+      }
+    });
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: "Missing or wrong token" });
+
+  const url = new URL(req.url ?? "/", "http://localhost");
+  if (url.pathname !== "/ops") return send(res, 404, { error: "Not found" });
+
+  if (req.method === "GET") {
+    // A cursor past the end (the log was reset) starts over from the end.
+    const since = Math.min(ops.length, Math.max(0, Math.floor(Number(url.searchParams.get("since")) || 0)));
+    const end = Math.min(ops.length, since + PAGE);
+    return send(res, 200, { ops: ops.slice(since, end), cursor: end, more: end < ops.length });
+  }
+
+  if (req.method === "POST") {
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (err) {
+      if (err instanceof TooLarge) {
+        // Answer first so the client sees why, then stop the upload.
+        res.on("finish", () => req.destroy());
+        return send(res, 413, { error: err.message }, { Connection: "close" });
+      }
+      return send(res, 400, { error: err instanceof SyntaxError ? "Body is not JSON" : err.message });
+    }
+    if (!Array.isArray(body?.ops) || !body.ops.every(isOp)) return send(res, 400, { error: "Expected { ops: [{ key, at, device, value? }] }" });
+    try {
+      return send(res, 200, { cursor: await append(body.ops) });
+    } catch (err) {
+      return send(res, 500, { error: `Could not save the ops: ${err.message}` });
+    }
+  }
+
+  send(res, 405, { error: "Method not allowed" });
+});
+
+server.listen(PORT, () => console.log(`Sync server listening on http://localhost:${PORT} (ops in ${DATA})`));
@@ -1,8 +1,9 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useId, useMemo, useRef, useState } from "react";
+import qrcode from "qrcode-generator";
 
 // 5v5 Flag Football Stat Tracker (MVP)
 // - Single-file React app
-// - Works offline with localStorage
+// - Works offline: installable, saves to IndexedDB (localStorage fallback)
 // - Track roster, games, and tap-to-log stat events
 // - Auto-computes player totals (offense + defense)
 //
@@ -11,6 +12,8 @@ import React, { useEffect, useMemo, useState } from "react";
 // 2) Create a game (Games)
 // 3) Open a game and tap quick actions to log plays
 // 4) See live box score + export JSON
+// 5) Season tab rolls every game up into totals, averages and leaderboards
+// 6) Playbook tab: tag plays with their call and see what works
 
 type Id = string;
 
@@ -19,134 +22,746 @@ type Player = {
   name: string;
   jersey?: string;
   position?: string;
+  archived?: boolean; // left the team: hidden from logging, stats kept
 };
 
-type RuleSet = "NEXT_LEVEL" | "NFL_FLAG" | "FARM_LEAGUE";
+type RuleSet = Id; // a preset id (NFL_FLAG, NEXT_LEVEL, FARM_LEAGUE) or a user-defined rule set id
+
+// Team → Season → Games/Roster. Players live in one pool so they can be
+// carried over from season to season; a season's roster is a list of ids.
+type Team = {
+  id: Id;
+  name: string;
+};
+
+type Season = {
+  id: Id;
+  teamId: Id;
+  name: string;
+  playerIds: Id[];
+};
+
+// A team's playbook entry. Events logged from the play carry its id.
+type Play = {
+  id: Id;
+  teamId: Id;
+  name: string;
+  formation?: string;
+  routes?: PlayRoute[]; // the route diagram, if one was drawn
+  archived?: boolean; // retired: no longer offered as a play call, reports kept
+};
+
+// Points on the PLAY_FIELD grid; the first is where the player lines up.
+type PlayRoute = { points: Array<[number, number]> };
 
 type Game = {
   id: Id;
+  seasonId: Id;
   opponent: string;
   dateISO: string; // YYYY-MM-DD
   ruleSet: RuleSet;
   notes?: string;
   events: StatEvent[];
+  final?: Score; // set when the game is marked final
+  pbp?: Situation; // current situation; present while play-by-play mode is on
+  clock?: GameClock; // present once period tracking is on
+};
+
+// Periods 1 and 2 are the halves, 3+ overtime. The clock counts down; while it
+// runs, `remaining` is the time left at `runningSince`.
+type GameClock = {
+  period: number;
+  remaining: number; // ms
+  runningSince?: number; // Date.now() when started; absent while stopped
+  timeouts: Array<{ side: Possession; period: number; clock: number }>;
 };
 
-const RULESET_LABEL: Record<RuleSet, string> = {
-  NEXT_LEVEL: "Next Level",
-  NFL_FLAG: "NFL FLAG",
-  FARM_LEAGUE: "Farm League",
+type Score = { us: number; them: number };
+
+// A rule set describes one league's scoring and field. The three leagues we
+// started with ship as read-only presets; anything else is user-defined and
+// stored alongside the data (Store.ruleSets). Games reference rule sets by id.
+type PatOption = {
+  points: 1 | 2 | 3; // logged as XP_1 / XP_2 / XP_3
+  yards: number; // distance of the try
+  note?: string; // e.g. "pass-only"
 };
 
-const RULESET_CONFIG: Record<RuleSet, { allowPatReturn: boolean; patReturnPoints: number }> = {
-  NEXT_LEVEL: { allowPatReturn: false, patReturnPoints: 0 },
-  NFL_FLAG: { allowPatReturn: false, patReturnPoints: 0 },
-  FARM_LEAGUE: { allowPatReturn: true, patReturnPoints: 2 },
+type RuleSetDef = {
+  id: RuleSet;
+  name: string;
+  builtIn?: boolean;
+  tdPoints: number;
+  pats: PatOption[];
+  allowPatReturn: boolean;
+  patReturnPoints: number;
+  safetyPoints: number; // 0 = safeties aren't awarded
+  notes: string[];
+  disabledEvents?: EventType[]; // event types this league doesn't use (no Quick log button, no box score column)
+  // Play-by-play field geometry (yards goal line to goal line, 5v5 midfield line to gain)
+  fieldYards: number;
+  startSpot: number; // every possession starts here, measured from the offense's own goal line
+  noRunZone: number; // yards before midfield and the goal line where runs aren't allowed
+  downs: number; // downs to reach the line to gain
+  // Game length
+  halfMinutes: number; // 0 = untimed
+  overtimePeriods: number; // most overtime periods before it's a tie; 0 = no overtime
+  overtimeMinutes: number; // 0 = untimed (e.g. alternating tries)
+  timeoutsPerHalf: number;
 };
 
-const RULESET_HELP: Record<RuleSet, { pat1: string; pat2: string; notes: string[] }> = {
-  NEXT_LEVEL: {
-    pat1: "1 point (from 5 yards)",
-    pat2: "2 points (from 12 yards)",
+const PAT_POINTS = [1, 2, 3] as const;
+
+export const RULESET_PRESETS: RuleSetDef[] = [
+  {
+    id: "NFL_FLAG",
+    name: "NFL FLAG",
+    builtIn: true,
+    tdPoints: 6,
+    pats: [
+      { points: 1, yards: 5, note: "pass-only" },
+      { points: 2, yards: 10 },
+    ],
+    allowPatReturn: false,
+    patReturnPoints: 0,
+    safetyPoints: 2,
+    notes: ["PAT tries are conversions (1 or 2) — don’t log a TD (6) during the try."],
+    fieldYards: 50,
+    startSpot: 5,
+    noRunZone: 5,
+    downs: 4,
+    halfMinutes: 20,
+    overtimePeriods: 1,
+    overtimeMinutes: 0,
+    timeoutsPerHalf: 2,
+  },
+  {
+    id: "NEXT_LEVEL",
+    name: "Next Level",
+    builtIn: true,
+    tdPoints: 6,
+    pats: [
+      { points: 1, yards: 5 },
+      { points: 2, yards: 12 },
+    ],
+    allowPatReturn: false,
+    patReturnPoints: 0,
+    safetyPoints: 2,
     notes: [
       "No points for PAT returns (per your Next Level rules).",
       "PAT tries are conversions (1 or 2) — don’t log a TD (6) during the try.",
     ],
+    fieldYards: 50,
+    startSpot: 5,
+    noRunZone: 5,
+    downs: 4,
+    halfMinutes: 20,
+    overtimePeriods: 1,
+    overtimeMinutes: 0,
+    timeoutsPerHalf: 2,
   },
-  NFL_FLAG: {
-    pat1: "1 point (from 5 yards, pass-only)",
-    pat2: "2 points (from 10 yards)",
-    notes: ["PAT tries are conversions (1 or 2) — don’t log a TD (6) during the try."],
-  },
-  FARM_LEAGUE: {
-    pat1: "1 point (from 5 yards, no-run zone)",
-    pat2: "2 points (from 12 yards)",
+  {
+    id: "FARM_LEAGUE",
+    name: "Farm League",
+    builtIn: true,
+    tdPoints: 6,
+    pats: [
+      { points: 1, yards: 5, note: "no-run zone" },
+      { points: 2, yards: 12 },
+    ],
+    allowPatReturn: true,
+    patReturnPoints: 2,
+    safetyPoints: 2,
     notes: [
       "Defense CAN return a PAT for 2 points (per your Farm League rules).",
       "TDs on normal offense are 6; PAT tries are conversions (1 or 2).",
     ],
+    fieldYards: 50,
+    startSpot: 5,
+    noRunZone: 5,
+    downs: 4,
+    halfMinutes: 20,
+    overtimePeriods: 0,
+    overtimeMinutes: 0,
+    timeoutsPerHalf: 2,
   },
+];
+
+const DEFAULT_RULESET: RuleSet = "NFL_FLAG";
+
+function allRuleSets(custom: RuleSetDef[]) {
+  return [...RULESET_PRESETS, ...custom];
+}
+
+// Unknown ids (a rule set deleted elsewhere, a bad import) fall back to the default preset.
+function ruleSetOf(custom: RuleSetDef[], id: RuleSet): RuleSetDef {
+  return allRuleSets(custom).find((r) => r.id === id) ?? RULESET_PRESETS[0];
+}
+
+function fmtPat(p: PatOption) {
+  return `${p.points} point${p.points === 1 ? "" : "s"} (from ${p.yards} yards${p.note ? `, ${p.note}` : ""})`;
+}
+
+// ----- Event registry -----
+// One entry per event type. The Quick log buttons, the stats engine, scoring,
+// play-by-play, the box score and the event log are all driven from here, so a
+// new stat is one new entry (plus its PlayerStats field).
+//
+// For most events, playerId is the primary credited player. Events with a
+// `receiver` credit take receiverId too (the catch on a pass, the receiver who
+// dropped it). For DEF_TD and SAFETY, playerId is the scorer; for PENALTY, the
+// offending player. "them" events are the opponent's and have an empty playerId;
+// OPP_PLAY is an opponent snap with no stat for us (play-by-play only).
+
+// What an event adds to a player's line: a fixed count, the play's yards, or
+// the event's points. `long` keeps the max instead of summing.
+type StatCredit = Partial<Record<keyof PlayerStats, number | "yards" | "points">>;
+
+type EventDef = {
+  label: string;
+  side: Possession; // who the event belongs to (and who its points go to)
+  primary?: StatCredit; // credited to playerId
+  receiver?: StatCredit; // set when the event takes a receiver; credited to receiverId
+  points?: (rules: RuleSetDef) => number;
+  yards?: boolean; // carries yardage (on FLAG_PULL / SACK / OPP_PLAY the opponent's gain; on penalties the penalty yards)
+  penalty?: boolean; // carries a penalty type
+  tryPlay?: "offense" | "defense"; // part of a PAT try (by the scoring team, or a return by the other one): not a snap from scrimmage
+  drive?: DriveResult; // ends the drive in play-by-play
+  available?: (rules: RuleSetDef) => boolean; // false when the rules have no such play
+  group?: EventGroup; // Quick log section; events without one have no button
+  button?: (rules: RuleSetDef) => string;
+  color?: "primary" | "ghost" | "danger";
+  code?: string; // command-bar shorthand (unique per side)
+};
+
+type EventGroup = "Passing" | "Rushing / Receiving" | "Defense" | "PAT" | "Penalties" | "Opponent scoring";
+
+const EVENT_GROUPS: EventGroup[] = ["Passing", "Rushing / Receiving", "Defense", "PAT", "Penalties", "Opponent scoring"];
+
+const tdPoints = (r: RuleSetDef) => r.tdPoints;
+const hasPat = (n: number) => (r: RuleSetDef) => r.pats.some((p) => p.points === n);
+const hasPatReturn = (r: RuleSetDef) => r.allowPatReturn;
+const hasSafety = (r: RuleSetDef) => r.safetyPoints > 0;
+
+const xpDefs = <N extends 1 | 2 | 3>(n: N) => {
+  const made: EventDef = {
+    label: `Extra point (${n})`,
+    side: "us",
+    primary: { [`xp${n}`]: 1, [`xp${n}Att`]: 1, points: "points" },
+    points: () => n,
+    tryPlay: "offense",
+    available: hasPat(n),
+    group: "PAT",
+    button: () => `+${n}`,
+    code: `xp${n}`,
+  };
+  const missed: EventDef = {
+    label: `Missed extra point (${n})`,
+    side: "us",
+    primary: { [`xp${n}Att`]: 1 },
+    tryPlay: "offense",
+    available: hasPat(n),
+    group: "PAT",
+    button: () => `Missed ${n}`,
+    color: "ghost",
+    code: `xm${n}`,
+  };
+  return { [`XP_${n}`]: made, [`XP_MISS_${n}`]: missed } as Record<`XP_${N}` | `XP_MISS_${N}`, EventDef>;
+};
+
+const oppXpDef = <N extends 1 | 2 | 3>(n: N) => {
+  const made: EventDef = {
+    label: `Extra point (${n})`,
+    side: "them",
+    points: () => n,
+    tryPlay: "offense",
+    available: hasPat(n),
+    group: "Opponent scoring",
+    button: () => `Opp +${n}`,
+    color: "ghost",
+    code: `xp${n}`,
+  };
+  return { [`OPP_XP_${n}`]: made } as Record<`OPP_XP_${N}`, EventDef>;
 };
 
+// Keeps each entry checked against EventDef while EventType stays the literal keys.
+const defineEvents = <T extends Record<string, EventDef>>(defs: T) => defs;
+
+const EVENT_DEFS = defineEvents({
+  PASS_ATT: { label: "Pass attempt", side: "us", primary: { passAtt: 1 }, group: "Passing", button: () => "Pass Att", color: "ghost", code: "inc" },
+  PASS_COMP: {
+    label: "Completion",
+    side: "us",
+    primary: { passAtt: 1, passComp: 1, passYds: "yards", long: "yards" },
+    receiver: { rec: 1, recYds: "yards", long: "yards" },
+    yards: true,
+    group: "Passing",
+    button: () => "Complete",
+    code: "c",
+  },
+  PASS_TD: {
+    // Credits a completed pass TD to passer AND receiver
+    label: "Pass TD",
+    side: "us",
+    primary: { passAtt: 1, passComp: 1, passTD: 1, passYds: "yards", long: "yards", points: "points" },
+    receiver: { rec: 1, recTD: 1, recYds: "yards", long: "yards", points: "points" },
+    points: tdPoints,
+    yards: true,
+    drive: "TD",
+    group: "Passing",
+    button: () => "Pass TD",
+    code: "ptd",
+  },
+  INT_THROWN: {
+    label: "Interception thrown",
+    side: "us",
+    primary: { passAtt: 1, intThrown: 1 },
+    drive: "INT",
+    group: "Passing",
+    button: () => "INT Thrown",
+    color: "danger",
+    code: "it",
+  },
+  DROP: {
+    label: "Dropped pass",
+    side: "us",
+    primary: { passAtt: 1 },
+    receiver: { drops: 1 },
+    group: "Passing",
+    button: () => "Drop",
+    color: "ghost",
+    code: "drop",
+  },
+  RUSH_ATT: {
+    label: "Rush attempt",
+    side: "us",
+    primary: { rushAtt: 1, rushYds: "yards", long: "yards" },
+    yards: true,
+    group: "Rushing / Receiving",
+    button: () => "Rush Att",
+    color: "ghost",
+    code: "r",
+  },
+  RUSH_TD: {
+    label: "Rush TD",
+    side: "us",
+    primary: { rushAtt: 1, rushTD: 1, rushYds: "yards", long: "yards", points: "points" },
+    points: tdPoints,
+    yards: true,
+    drive: "TD",
+    group: "Rushing / Receiving",
+    button: () => "Rush TD",
+    code: "rtd",
+  },
+  REC: {
+    label: "Reception",
+    side: "us",
+    primary: { rec: 1, recYds: "yards", long: "yards" },
+    yards: true,
+    group: "Rushing / Receiving",
+    button: () => "Reception",
+    color: "ghost",
+    code: "rec",
+  },
+  REC_TD: {
+    label: "Receiving TD",
+    side: "us",
+    primary: { rec: 1, recTD: 1, recYds: "yards", long: "yards", points: "points" },
+    points: tdPoints,
+    yards: true,
+    drive: "TD",
+    group: "Rushing / Receiving",
+    button: () => "Rec TD",
+    code: "rectd",
+  },
+  FLAG_PULL: { label: "Flag pull", side: "us", primary: { flagPulls: 1 }, yards: true, group: "Defense", button: () => "Flag Pull", code: "fp" },
+  SACK: { label: "Sack", side: "us", primary: { sacks: 1 }, yards: true, group: "Defense", button: () => "Sack", code: "sk" },
+  DEF_INT: {
+    label: "Defensive INT",
+    side: "us",
+    primary: { defInt: 1, intRetYds: "yards", long: "yards" },
+    yards: true,
+    drive: "INT",
+    group: "Defense",
+    button: () => "INT",
+    code: "int",
+  },
+  DEF_TD: {
+    label: "Defensive TD",
+    side: "us",
+    primary: { defTD: 1, long: "yards", points: "points" },
+    points: tdPoints,
+    yards: true,
+    drive: "Pick 6",
+    group: "Defense",
+    button: () => "Def TD",
+    code: "dtd",
+  },
+  PASS_BREAKUP: { label: "Pass breakup", side: "us", primary: { passBreakups: 1 }, group: "Defense", button: () => "Pass Breakup", color: "ghost", code: "pbu" },
+  SAFETY: {
+    label: "Safety",
+    side: "us",
+    primary: { safeties: 1, points: "points" },
+    points: (r) => r.safetyPoints,
+    drive: "Safety",
+    available: hasSafety,
+    group: "Defense",
+    button: (r) => `Safety +${r.safetyPoints}`,
+    code: "sf",
+  },
+  ...xpDefs(1),
+  ...xpDefs(2),
+  ...xpDefs(3),
+  PAT_RET_2: {
+    // Defensive return on a PAT, where the rule set allows it
+    label: "PAT return",
+    side: "us",
+    primary: { patRet2: 1, points: "points" },
+    points: (r) => r.patReturnPoints,
+    tryPlay: "defense",
+    available: hasPatReturn,
+    group: "PAT",
+    button: (r) => `PAT Return +${r.patReturnPoints}`,
+    color: "danger",
+    code: "pr",
+  },
+  PENALTY: {
+    label: "Penalty",
+    side: "us",
+    primary: { penalties: 1, penaltyYds: "yards" },
+    yards: true,
+    penalty: true,
+    group: "Penalties",
+    button: () => "Our Penalty",
+    color: "danger",
+    code: "pen",
+  },
+  OPP_PENALTY: { label: "Penalty", side: "them", yards: true, penalty: true, group: "Penalties", button: () => "Opp Penalty", color: "ghost", code: "pen" },
+  OPP_TD: { label: "Touchdown", side: "them", points: tdPoints, drive: "TD", group: "Opponent scoring", button: () => "Opp TD", color: "ghost", code: "td" },
+  OPP_DEF_TD: {
+    label: "Defensive TD",
+    side: "them",
+    points: tdPoints,
+    drive: "Pick 6",
+    group: "Opponent scoring",
+    button: () => "Opp Def TD",
+    color: "ghost",
+    code: "dtd",
+  },
+  ...oppXpDef(1),
+  ...oppXpDef(2),
+  ...oppXpDef(3),
+  OPP_SAFETY: {
+    label: "Safety",
+    side: "them",
+    points: (r) => r.safetyPoints,
+    drive: "Safety",
+    available: hasSafety,
+    group: "Opponent scoring",
+    button: (r) => `Opp Safety +${r.safetyPoints}`,
+    color: "ghost",
+    code: "sf",
+  },
+  OPP_PAT_RET_2: {
+    label: "PAT return",
+    side: "them",
+    points: (r) => r.patReturnPoints,
+    tryPlay: "defense",
+    available: hasPatReturn,
+    group: "Opponent scoring",
+    button: (r) => `Opp PAT Return +${r.patReturnPoints}`,
+    color: "ghost",
+    code: "pr",
+  },
+  OPP_PLAY: { label: "Play", side: "them", yards: true },
+});
+
+type EventType = keyof typeof EVENT_DEFS;
+
+// Runtime list of every type, for validating imported data.
+const EVENT_TYPES = Object.keys(EVENT_DEFS) as EventType[];
+
+const eventDef = (type: EventType): EventDef => EVENT_DEFS[type];
+
+function isOppEvent(type: EventType) {
+  return eventDef(type).side === "them";
+}
 
+// Whether a game under these rules can have this event: the play has to exist
+// under the rules and the league mustn't have switched it off.
+function eventEnabled(type: EventType, rules: RuleSetDef) {
+  const def = eventDef(type);
+  return (def.available?.(rules) ?? true) && !rules.disabledEvents?.includes(type);
+}
 
-type EventType =
-  | "PASS_ATT"
-  | "PASS_COMP"
-  | "PASS_TD"
-  | "INT_THROWN"
-  | "RUSH_ATT"
-  | "RUSH_TD"
-  | "REC"
-  | "REC_TD"
-  | "DEF_INT"
-  | "SACK"
-  | "FLAG_PULL"
-  | "DEF_TD"
-  | "XP_1"
-  | "XP_2"
-  | "PAT_RET_2";
+const PENALTY_TYPES = [
+  "Flag guarding",
+  "Offside",
+  "Illegal contact",
+  "Pass interference",
+  "Illegal run (no-run zone)",
+  "Delay of game",
+  "Unsportsmanlike conduct",
+  "Other",
+];
 
-// For most events, playerId is the primary credited player.
-// For passing plays, you can add receiverId to credit the catch/rec TD.
-// For DEF_TD, use playerId as the scorer.
+const YARDS_CHIPS = [-5, 0, 5, 10, 15, 20, 30, 40];
 
 type StatEvent = {
   id: Id;
   ts: number;
   type: EventType;
   playerId: Id;
-  receiverId?: Id; // for PASS_COMP / PASS_TD
-  yards?: number; // optional
+  receiverId?: Id; // for PASS_COMP / PASS_TD / DROP
+  yards?: number; // gain on the play (INT return yards for DEF_INT, penalty yards for penalties)
+  penalty?: string; // PENALTY / OPP_PENALTY: the foul, usually one of PENALTY_TYPES
   note?: string;
+  sit?: Situation; // situation at the snap (play-by-play mode only)
+  period?: number; // stamped while the game clock is on
+  clock?: number; // ms left in the period
+  playId?: Id; // the play call it was run from
+};
+
+// ----- Play-by-play -----
+// Spots are yards from the offense's own goal line (0 .. fieldYards). The line
+// to gain is midfield until the offense crosses it, then the goal line.
+
+type Possession = "us" | "them";
+
+type Situation = {
+  possession: Possession;
+  down: number;
+  spot: number;
+  lineToGain: number;
+  drive: number;
+};
+
+type DriveResult = "TD" | "INT" | "Pick 6" | "Safety" | "Downs";
+
+// PAT tries aren't snaps from scrimmage: they don't get stamped or move the chains.
+function isSnap(type: EventType) {
+  return !eventDef(type).tryPlay;
+}
+
+function otherSide(p: Possession): Possession {
+  return p === "us" ? "them" : "us";
+}
+
+function startDrive(cfg: RuleSetDef, possession: Possession, drive: number): Situation {
+  return { possession, down: 1, spot: cfg.startSpot, lineToGain: cfg.fieldYards / 2, drive };
+}
+
+// Outcome of one snap: the next situation, whether it moved the chains, and
+// how the drive ended if it did.
+export function advancePlay(sit: Situation, e: StatEvent, cfg: RuleSetDef): { next: Situation; firstDown: boolean; result?: DriveResult } {
+  const def = eventDef(e.type);
+  if (def.drive) {
+    // After a pick 6 the offense gets the ball back; every other ending flips it.
+    const possession = def.drive === "Pick 6" ? sit.possession : otherSide(sit.possession);
+    return { next: startDrive(cfg, possession, sit.drive + 1), firstDown: def.drive === "TD", result: def.drive };
+  }
+  if (def.penalty) {
+    // Replay the down, walked off against whoever fouled.
+    const walk = (e.yards ?? 0) * (def.side === sit.possession ? -1 : 1);
+    const spot = Math.min(Math.max(sit.spot + walk, 0), cfg.fieldYards - 1);
+    if (spot >= sit.lineToGain) return { next: { ...sit, down: 1, spot, lineToGain: cfg.fieldYards }, firstDown: true };
+    return { next: { ...sit, spot }, firstDown: false };
+  }
+  const spot = Math.min(Math.max(sit.spot + (e.yards ?? 0), 0), cfg.fieldYards - 1);
+  if (spot >= sit.lineToGain) return { next: { ...sit, down: 1, spot, lineToGain: cfg.fieldYards }, firstDown: true };
+  if (sit.down >= cfg.downs) {
+    return { next: startDrive(cfg, otherSide(sit.possession), sit.drive + 1), firstDown: false, result: "Downs" };
+  }
+  return { next: { ...sit, down: sit.down + 1, spot }, firstDown: false };
+}
+
+// Adds an event to the front of the log. With the clock on, every event is
+// stamped with the period and game time; in play-by-play mode snaps are also
+// stamped with the current situation, which then advances.
+function appendEvent(g: Game, event: StatEvent, rules: RuleSetDef): Game {
+  const timed = g.clock ? { ...event, period: g.clock.period, clock: clockRemaining(g.clock, event.ts) } : event;
+  if (!g.pbp || !isSnap(event.type)) return { ...g, events: [timed, ...g.events] };
+  const stamped = { ...timed, sit: g.pbp };
+  return { ...g, events: [stamped, ...g.events], pbp: advancePlay(g.pbp, stamped, rules).next };
+}
+
+type Drive = {
+  n: number;
+  possession: Possession;
+  start: number;
+  end: number;
+  plays: number;
+  result?: DriveResult;
 };
 
+// Drives are rebuilt from the stamped events, replaying each snap from the
+// situation it was logged in (so manual situation fixes are respected).
+export function buildDrives(game: Game, cfg: RuleSetDef): Drive[] {
+  const drives: Drive[] = [];
+  const snaps = game.events.filter((e) => e.sit).sort((a, b) => a.ts - b.ts);
+  for (const e of snaps) {
+    const sit = e.sit!;
+    let d = drives[drives.length - 1];
+    if (!d || d.n !== sit.drive) {
+      d = { n: sit.drive, possession: sit.possession, start: sit.spot, end: sit.spot, plays: 0 };
+      drives.push(d);
+    }
+    const out = advancePlay(sit, e, cfg);
+    d.plays += 1;
+    d.result = out.result;
+    d.end = out.result === "TD" ? cfg.fieldYards : out.result === "Safety" ? 0 : out.result ? sit.spot : out.next.spot;
+  }
+  return drives;
+}
+
+type Conversions = { att: number; conv: number };
+
+function downConversions(game: Game, possession: Possession, cfg: RuleSetDef) {
+  const r: Record<3 | 4, Conversions> = { 3: { att: 0, conv: 0 }, 4: { att: 0, conv: 0 } };
+  for (const e of game.events) {
+    if (!e.sit || e.sit.possession !== possession) continue;
+    if (e.sit.down !== 3 && e.sit.down !== 4) continue;
+    const c = r[e.sit.down];
+    c.att += 1;
+    if (advancePlay(e.sit, e, cfg).firstDown) c.conv += 1;
+  }
+  return r;
+}
+
+function fmtSpot(spot: number, fieldYards: number) {
+  const mid = fieldYards / 2;
+  if (spot === mid) return "Midfield";
+  return spot < mid ? `Own ${spot}` : `Opp ${fieldYards - spot}`;
+}
+
+function fmtDownDistance(sit: Situation, fieldYards: number) {
+  const ord = ["1st", "2nd", "3rd", "4th"][sit.down - 1] ?? `${sit.down}th`;
+  return `${ord} & ${sit.lineToGain >= fieldYards ? "goal" : sit.lineToGain - sit.spot}`;
+}
+
+function inNoRunZone(sit: Situation, cfg: RuleSetDef) {
+  return cfg.noRunZone > 0 && sit.lineToGain - sit.spot <= cfg.noRunZone;
+}
+
+function fmtConversions(c: Conversions) {
+  return c.att ? `${c.conv}/${c.att} (${Math.round((100 * c.conv) / c.att)}%)` : "–";
+}
+
+// ----- Game clock -----
+
+function periodMinutes(period: number, rules: RuleSetDef) {
+  return period <= 2 ? rules.halfMinutes : rules.overtimeMinutes;
+}
+
+function startPeriod(period: number, rules: RuleSetDef, timeouts: GameClock["timeouts"] = []): GameClock {
+  return { period, remaining: periodMinutes(period, rules) * 60_000, timeouts };
+}
+
+function clockRemaining(c: GameClock, at: number) {
+  return Math.max(0, c.remaining - (c.runningSince ? at - c.runningSince : 0));
+}
+
+function fmtPeriod(period: number) {
+  if (period === 1) return "1st half";
+  if (period === 2) return "2nd half";
+  return period === 3 ? "OT" : `OT${period - 2}`;
+}
+
+function fmtClock(ms: number) {
+  const secs = Math.ceil(ms / 1000);
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+}
+
+// "2nd half 12:34", or just the period when it's untimed.
+function fmtGameTime(e: Pick<StatEvent, "period" | "clock">, rules: RuleSetDef) {
+  if (!e.period) return "";
+  return periodMinutes(e.period, rules) && e.clock !== undefined ? `${fmtPeriod(e.period)} ${fmtClock(e.clock)}` : fmtPeriod(e.period);
+}
+
+// Timeouts left for one side in the current half; overtime has none.
+function timeoutsLeft(c: GameClock, rules: RuleSetDef, side: Possession) {
+  if (c.period > 2) return 0;
+  const used = c.timeouts.filter((t) => t.side === side && t.period === c.period).length;
+  return Math.max(0, rules.timeoutsPerHalf - used);
+}
+
 type PlayerStats = {
   // Passing
   passAtt: number;
   passComp: number;
+  passYds: number;
   passTD: number;
   intThrown: number;
 
   // Rushing
   rushAtt: number;
+  rushYds: number;
   rushTD: number;
 
   // Receiving
   rec: number;
+  recYds: number;
   recTD: number;
+  drops: number;
 
   // Defense
   defInt: number;
+  intRetYds: number;
   sacks: number;
   flagPulls: number;
   defTD: number;
+  passBreakups: number;
+  safeties: number;
 
-  // Scoring
+  // Scoring (xpN = made N-point tries, xpNAtt = all N-point tries)
   xp1: number;
   xp2: number;
-  patRet2: number; // defensive return on PAT (Farm League)
+  xp3: number;
+  xp1Att: number;
+  xp2Att: number;
+  xp3Att: number;
+  patRet2: number; // defensive return on PAT, where the rule set allows it
   points: number;
+
+  // Discipline
+  penalties: number;
+  penaltyYds: number;
+
+  long: number; // longest single play (pass, rush, catch or return)
 };
 
 
 const emptyStats = (): PlayerStats => ({
   passAtt: 0,
   passComp: 0,
+  passYds: 0,
   passTD: 0,
   intThrown: 0,
   rushAtt: 0,
+  rushYds: 0,
   rushTD: 0,
   rec: 0,
+  recYds: 0,
   recTD: 0,
+  drops: 0,
   defInt: 0,
+  intRetYds: 0,
   sacks: 0,
   flagPulls: 0,
   defTD: 0,
+  passBreakups: 0,
+  safeties: 0,
   xp1: 0,
   xp2: 0,
+  xp3: 0,
+  xp1Att: 0,
+  xp2Att: 0,
+  xp3Att: 0,
   patRet2: 0,
   points: 0,
+  penalties: 0,
+  penaltyYds: 0,
+  long: 0,
 });
 
 function uid(prefix = "id"): string {
@@ -154,489 +769,4694 @@ function uid(prefix = "id"): string {
 }
 
 const STORAGE_KEY = "flag_5v5_stat_tracker_v1";
+// Schema version of the data under STORAGE_KEY. Also written into the store
+// itself so exported files carry it.
+const SCHEMA_KEY = "flag_5v5_stat_tracker_schema";
+const SCHEMA_VERSION = 5;
 
 type Store = {
+  version: number;
   players: Player[];
+  teams: Team[];
+  seasons: Season[];
   games: Game[];
-  ui: { selectedGameId?: Id };
+  ruleSets: RuleSetDef[]; // user-defined; presets aren't stored
+  plays: Play[];
+  ui: { selectedGameId?: Id; seasonId?: Id };
 };
 
-function loadStore(): Store {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return { players: [], games: [], ui: {} };
-    const parsed = JSON.parse(raw) as Store;
-    // basic shape guards
+function defaultTeamSeason(playerIds: Id[]): { team: Team; season: Season } {
+  const team: Team = { id: uid("t"), name: "My Team" };
+  return { team, season: { id: uid("s"), teamId: team.id, name: String(new Date().getFullYear()), playerIds } };
+}
+
+export function emptyStore(): Store {
+  const { team, season } = defaultTeamSeason([]);
+  return { version: SCHEMA_VERSION, players: [], teams: [team], seasons: [season], games: [], ruleSets: [], plays: [], ui: { seasonId: season.id } };
+}
+
+// Each entry upgrades raw data from version N to N + 1. Runs before validation,
+// so it has to tolerate whatever shape the old version allowed.
+export const MIGRATIONS: Record<number, (raw: any) => any> = {
+  // v1 → v2: the global roster and game list move into a default team and season.
+  1: (raw) => {
+    if (Array.isArray(raw.teams) && raw.teams.length) return raw;
+    const playerIds = Array.isArray(raw.players) ? [...new Set<Id>(raw.players.map((p: any) => p?.id).filter(Boolean))] : [];
+    const { team, season } = defaultTeamSeason(playerIds);
     return {
-      players: Array.isArray(parsed.players) ? parsed.players : [],
-      games: Array.isArray(parsed.games)
-      ? parsed.games.map((g: any) => ({
-          ...g,
-          ruleSet: (g?.ruleSet as RuleSet) || "NFL_FLAG",
-          events: Array.isArray(g?.events) ? g.events : [],
-        }))
-      : [],
-      ui: parsed.ui ?? {},
+      ...raw,
+      teams: [team],
+      seasons: [season],
+      games: Array.isArray(raw.games) ? raw.games.map((g: any) => ({ ...g, seasonId: season.id })) : raw.games,
+      ui: { ...raw.ui, seasonId: season.id },
     };
-  } catch {
-    return { players: [], games: [], ui: {} };
-  }
-}
+  },
+  // v2 → v3: user-defined rule sets.
+  2: (raw) => ({ ...raw, ruleSets: Array.isArray(raw.ruleSets) ? raw.ruleSets : [] }),
+  // v3 → v4: rule sets gain game length (halves, overtime, timeouts).
+  3: (raw) => ({
+    ...raw,
+    ruleSets: Array.isArray(raw.ruleSets)
+      ? raw.ruleSets.map((r: any) => (isObj(r) ? { halfMinutes: 20, overtimePeriods: 0, overtimeMinutes: 0, timeoutsPerHalf: 2, ...r } : r))
+      : raw.ruleSets,
+  }),
+  // v4 → v5: team playbooks.
+  4: (raw) => ({ ...raw, plays: Array.isArray(raw.plays) ? raw.plays : [] }),
+};
 
-function saveStore(store: Store) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+function migrate(raw: any, from: number) {
+  let out = raw;
+  for (let v = from; v < SCHEMA_VERSION; v++) out = { ...MIGRATIONS[v](out), version: v + 1 };
+  return out;
 }
 
-function computeStats(players: Player[], events: StatEvent[]) {
-  const byId: Record<string, PlayerStats> = {};
-  for (const p of players) byId[p.id] = emptyStats();
+type ValidationIssue = {
+  path: string; // e.g. games[2].events[14]
+  message: string;
+  repair?: string; // what "repair" does; without one the record can only be skipped
+};
 
-  const ensure = (pid: Id) => {
-    if (!byId[pid]) byId[pid] = emptyStats();
-    return byId[pid];
+// "repair" keeps a bad record when every problem with it is repairable;
+// "skip" drops every record that has a problem.
+type ImportMode = "repair" | "skip";
+
+const isObj = (x: unknown): x is Record<string, any> => typeof x === "object" && x !== null && !Array.isArray(x);
+const isStr = (x: unknown): x is string => typeof x === "string";
+const isNum = (x: unknown): x is number => typeof x === "number" && Number.isFinite(x);
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const isSituation = (x: unknown): x is Situation =>
+  isObj(x) && (x.possession === "us" || x.possession === "them") && [x.down, x.spot, x.lineToGain, x.drive].every(isNum);
+const situationOf = ({ possession, down, spot, lineToGain, drive }: Situation): Situation => ({ possession, down, spot, lineToGain, drive });
+
+// The one validator for stored data and imports. Migrates to SCHEMA_VERSION,
+// then checks every record and reports exactly what's wrong with it. Returns no
+// store when the input can't be used at all.
+export function validateStore(input: unknown, mode: ImportMode = "repair"): { store?: Store; issues: ValidationIssue[] } {
+  const issues: ValidationIssue[] = [];
+  if (!isObj(input)) return { issues: [{ path: "", message: "Not a stats export (expected a JSON object)." }] };
+  const version = isNum(input.version) ? input.version : 1;
+  if (version > SCHEMA_VERSION) {
+    return { issues: [{ path: "version", message: `Saved by a newer version of the app (schema v${version}, this app reads v${SCHEMA_VERSION}).` }] };
+  }
+  const raw = migrate(input, version);
+
+  // `always` marks dangling references that get cleaned up in both modes, so
+  // skipping one record doesn't cascade into skipping everything that points at it.
+  type Problem = { message: string; repair?: string; always?: boolean };
+  const keep = <T,>(path: string, problems: Problem[], build: () => T): T | undefined => {
+    for (const { message, repair } of problems) issues.push({ path, message, repair });
+    const blocking = problems.filter((p) => !p.always);
+    if (blocking.length && (mode === "skip" || blocking.some((p) => !p.repair))) return undefined;
+    return build();
+  };
+  const list = (key: string): any[] => {
+    if (Array.isArray(raw[key])) return raw[key];
+    if (raw[key] !== undefined) issues.push({ path: key, message: "Not a list.", repair: "Start with an empty list" });
+    return [];
   };
 
-  for (const e of events) {
-    const s = ensure(e.playerId);
-
-    switch (e.type) {
-      case "PASS_ATT":
-        s.passAtt += 1;
-        break;
-      case "PASS_COMP":
-        s.passAtt += 1;
-        s.passComp += 1;
-        if (e.receiverId) {
-          const r = ensure(e.receiverId);
-          r.rec += 1;
-        }
-        break;
-      case "PASS_TD":
-        // Credit a completed pass TD to passer AND receiver
-        s.passAtt += 1;
-        s.passComp += 1;
-        s.passTD += 1;
-        s.points += 6;
-        if (e.receiverId) {
-          const r = ensure(e.receiverId);
-          r.rec += 1;
-          r.recTD += 1;
-          r.points += 6;
-        }
-        break;
-      case "INT_THROWN":
-        s.passAtt += 1;
-        s.intThrown += 1;
-        break;
-      case "RUSH_ATT":
-        s.rushAtt += 1;
-        break;
-      case "RUSH_TD":
-        s.rushAtt += 1;
-        s.rushTD += 1;
-        s.points += 6;
-        break;
-      case "REC":
-        s.rec += 1;
-        break;
-      case "REC_TD":
-        s.rec += 1;
-        s.recTD += 1;
-        s.points += 6;
-        break;
-      case "DEF_INT":
-        s.defInt += 1;
-        break;
-      case "SACK":
-        s.sacks += 1;
-        break;
-      case "FLAG_PULL":
-        s.flagPulls += 1;
-        break;
-      case "DEF_TD":
-        s.defTD += 1;
-        s.points += 6;
-        break;
-      case "XP_1":
-        s.xp1 += 1;
-        s.points += 1;
-        break;
-      case "XP_2":
-        s.xp2 += 1;
-        s.points += 2;
-        break;
-      case "PAT_RET_2":
-        // Defensive return on PAT (Farm League): 2 points
-        s.patRet2 += 1;
-        s.points += 2;
-        break;
-      default:
-        break;
+  const players: Player[] = [];
+  const playerIds = new Set<Id>();
+  list("players").forEach((p, i) => {
+    const path = `players[${i}]`;
+    if (!isObj(p)) return void issues.push({ path, message: "Not an object." });
+    const problems: Problem[] = [];
+    if (!isStr(p.id) || !p.id) problems.push({ message: "Missing id.", repair: "Assign a new id" });
+    else if (playerIds.has(p.id)) problems.push({ message: `Duplicate player id ${p.id}.` });
+    if (!isStr(p.name) || !p.name.trim()) problems.push({ message: "Missing name.", repair: 'Name it "Unnamed"' });
+    if (p.jersey !== undefined && !isStr(p.jersey)) problems.push({ message: "Jersey is not text.", repair: "Convert it to text" });
+    if (p.position !== undefined && !isStr(p.position)) problems.push({ message: "Position is not text.", repair: "Convert it to text" });
+    if (p.archived !== undefined && typeof p.archived !== "boolean") problems.push({ message: "Archived is not true/false.", repair: "Treat as active" });
+    const player = keep(path, problems, () => ({
+      ...p,
+      id: isStr(p.id) && p.id ? p.id : uid("p"),
+      name: isStr(p.name) && p.name.trim() ? p.name : "Unnamed",
+      jersey: p.jersey === undefined ? undefined : String(p.jersey),
+      position: p.position === undefined ? undefined : String(p.position),
+      archived: p.archived === true || undefined,
+    }));
+    if (player) {
+      players.push(player);
+      playerIds.add(player.id);
+    }
+  });
+
+  const teams: Team[] = [];
+  list("teams").forEach((t, i) => {
+    const path = `teams[${i}]`;
+    if (!isObj(t)) return void issues.push({ path, message: "Not an object." });
+    const problems: Problem[] = [];
+    if (!isStr(t.id) || !t.id || teams.some((x) => x.id === t.id)) problems.push({ message: "Missing or duplicate id." });
+    if (!isStr(t.name) || !t.name.trim()) problems.push({ message: "Missing name.", repair: 'Name it "My Team"' });
+    const team = keep<Team>(path, problems, () => ({ ...t, id: t.id, name: isStr(t.name) && t.name.trim() ? t.name : "My Team" }));
+    if (team) teams.push(team);
+  });
+
+  const seasons: Season[] = [];
+  list("seasons").forEach((x, i) => {
+    const path = `seasons[${i}]`;
+    if (!isObj(x)) return void issues.push({ path, message: "Not an object." });
+    const problems: Problem[] = [];
+    if (!isStr(x.id) || !x.id || seasons.some((y) => y.id === x.id)) problems.push({ message: "Missing or duplicate id." });
+    if (!teams.some((t) => t.id === x.teamId)) problems.push({ message: `Unknown team ${String(x.teamId)}.` });
+    if (!isStr(x.name) || !x.name.trim()) problems.push({ message: "Missing name.", repair: 'Name it "Season"' });
+    const roster = Array.isArray(x.playerIds) ? x.playerIds : [];
+    if (!Array.isArray(x.playerIds) || roster.some((pid: unknown) => !playerIds.has(pid as Id))) {
+      problems.push({ message: "Roster lists unknown players.", repair: "Drop them from the roster", always: true });
     }
+    const season = keep<Season>(path, problems, () => ({
+      ...x,
+      id: x.id,
+      teamId: x.teamId,
+      name: isStr(x.name) && x.name.trim() ? x.name : "Season",
+      playerIds: [...new Set<Id>(roster.filter((pid: unknown) => playerIds.has(pid as Id)))],
+    }));
+    if (season) seasons.push(season);
+  });
+
+  if (seasons.length === 0) {
+    const d = defaultTeamSeason(players.map((p) => p.id));
+    if (teams.length === 0) teams.push(d.team);
+    seasons.push({ ...d.season, teamId: teams[0].id });
   }
+  const fallbackSeasonId = seasons[seasons.length - 1].id;
 
-  return byId;
+  const ruleSets: RuleSetDef[] = [];
+  list("ruleSets").forEach((r, i) => {
+    const path = `ruleSets[${i}]`;
+    if (!isObj(r)) return void issues.push({ path, message: "Not an object." });
+    const problems: Problem[] = [];
+    const base = RULESET_PRESETS[0];
+    if (!isStr(r.id) || !r.id || allRuleSets(ruleSets).some((x) => x.id === r.id)) problems.push({ message: "Missing or duplicate id." });
+    if (!isStr(r.name) || !r.name.trim()) problems.push({ message: "Missing name.", repair: 'Name it "Custom rules"' });
+    const nums = [
+      "tdPoints",
+      "patReturnPoints",
+      "safetyPoints",
+      "fieldYards",
+      "startSpot",
+      "noRunZone",
+      "downs",
+      "halfMinutes",
+      "overtimePeriods",
+      "overtimeMinutes",
+      "timeoutsPerHalf",
+    ] as const;
+    const badNums = nums.filter((k) => !isNum(r[k]) || r[k] < 0);
+    if (badNums.length) problems.push({ message: `Bad ${badNums.join(", ")}.`, repair: `Use the ${base.name} values` });
+    const pats = Array.isArray(r.pats) ? r.pats.filter((o: any) => isObj(o) && PAT_POINTS.includes(o.points) && isNum(o.yards)) : [];
+    if (!Array.isArray(r.pats) || pats.length !== r.pats.length) problems.push({ message: "Malformed PAT options.", repair: "Drop the malformed ones" });
+    const ruleSet = keep<RuleSetDef>(path, problems, () => ({
+      ...r,
+      id: r.id,
+      name: isStr(r.name) && r.name.trim() ? r.name : "Custom rules",
+      builtIn: undefined,
+      ...(Object.fromEntries(nums.map((k) => [k, isNum(r[k]) && r[k] >= 0 ? r[k] : base[k]])) as Pick<RuleSetDef, (typeof nums)[number]>),
+      pats: pats.map((o: any) => ({ points: o.points, yards: o.yards, note: isStr(o.note) && o.note ? o.note : undefined })),
+      allowPatReturn: r.allowPatReturn === true,
+      notes: Array.isArray(r.notes) ? r.notes.filter(isStr) : [],
+      disabledEvents: Array.isArray(r.disabledEvents) ? r.disabledEvents.filter((t: unknown) => EVENT_TYPES.includes(t as EventType)) : undefined,
+    }));
+    if (ruleSet) ruleSets.push(ruleSet);
+  });
+
+  const plays: Play[] = [];
+  list("plays").forEach((x, i) => {
+    const path = `plays[${i}]`;
+    if (!isObj(x)) return void issues.push({ path, message: "Not an object." });
+    const problems: Problem[] = [];
+    if (!isStr(x.id) || !x.id || plays.some((y) => y.id === x.id)) problems.push({ message: "Missing or duplicate id." });
+    if (!teams.some((t) => t.id === x.teamId)) problems.push({ message: `Unknown team ${String(x.teamId)}.` });
+    if (!isStr(x.name) || !x.name.trim()) problems.push({ message: "Missing name.", repair: 'Name it "Play"' });
+    if (x.formation !== undefined && !isStr(x.formation)) problems.push({ message: "Formation is not text.", repair: "Drop the formation" });
+    const routeOk = (r: unknown) =>
+      isObj(r) && Array.isArray(r.points) && r.points.every((pt: unknown) => Array.isArray(pt) && pt.length === 2 && pt.every(isNum));
+    if (x.routes !== undefined && !(Array.isArray(x.routes) && x.routes.every(routeOk))) {
+      problems.push({ message: "Route diagram is malformed.", repair: "Drop the malformed routes" });
+    }
+    const play = keep<Play>(path, problems, () => ({
+      ...x,
+      id: x.id,
+      teamId: x.teamId,
+      name: isStr(x.name) && x.name.trim() ? x.name : "Play",
+      formation: isStr(x.formation) ? x.formation : undefined,
+      routes: Array.isArray(x.routes) ? x.routes.filter(routeOk) : undefined,
+      archived: x.archived === true || undefined,
+    }));
+    if (play) plays.push(play);
+  });
+
+  const games: Game[] = [];
+  list("games").forEach((g, i) => {
+    const path = `games[${i}]`;
+    if (!isObj(g)) return void issues.push({ path, message: "Not an object." });
+    const problems: Problem[] = [];
+    if (!isStr(g.id) || !g.id) problems.push({ message: "Missing id.", repair: "Assign a new id" });
+    else if (games.some((x) => x.id === g.id)) problems.push({ message: `Duplicate game id ${g.id}.` });
+    if (!isStr(g.opponent) || !g.opponent.trim()) problems.push({ message: "Missing opponent.", repair: 'Call it "Unknown"' });
+    if (!isStr(g.dateISO) || !DATE_RE.test(g.dateISO)) problems.push({ message: "Date is not YYYY-MM-DD.", repair: "Use today's date" });
+    const knownRules = allRuleSets(ruleSets).some((r) => r.id === g.ruleSet);
+    if (!knownRules) problems.push({ message: `Unknown rule set ${String(g.ruleSet)}.`, repair: `Use ${RULESET_PRESETS[0].name}` });
+    if (!seasons.some((x) => x.id === g.seasonId)) problems.push({ message: "Unknown season.", repair: "Move it to the latest season", always: true });
+    if (!Array.isArray(g.events)) problems.push({ message: "Events are not a list.", repair: "Start with no events" });
+    if (g.final !== undefined && !(isObj(g.final) && isNum(g.final.us) && isNum(g.final.them))) {
+      problems.push({ message: "Final score is malformed.", repair: "Reopen the game" });
+    }
+    if (g.pbp !== undefined && !isSituation(g.pbp)) {
+      problems.push({ message: "Play-by-play situation is malformed.", repair: "Turn play-by-play off" });
+    }
+    const clockOk = isObj(g.clock) && isNum(g.clock.period) && isNum(g.clock.remaining) && Array.isArray(g.clock.timeouts);
+    if (g.clock !== undefined && !clockOk) problems.push({ message: "Game clock is malformed.", repair: "Turn the clock off" });
+    const dateISO = isStr(g.dateISO) && DATE_RE.test(g.dateISO) ? g.dateISO : new Date().toISOString().slice(0, 10);
+
+    const events: StatEvent[] = [];
+    (Array.isArray(g.events) ? g.events : []).forEach((e: any, j: number) => {
+      const epath = `${path}.events[${j}]`;
+      if (!isObj(e)) return void issues.push({ path: epath, message: "Not an object." });
+      const ep: Problem[] = [];
+      if (!isStr(e.id) || !e.id || events.some((x) => x.id === e.id)) ep.push({ message: "Missing or duplicate id.", repair: "Assign a new id" });
+      if (!isNum(e.ts)) ep.push({ message: "Missing timestamp.", repair: "Use the game date" });
+      if (!EVENT_TYPES.includes(e.type)) ep.push({ message: `Unknown event type ${String(e.type)}.` });
+      else if (isOppEvent(e.type)) {
+        if (e.playerId !== "") ep.push({ message: "Opponent event credits a player.", repair: "Clear the player" });
+      } else if (!isStr(e.playerId) || !e.playerId) ep.push({ message: "Missing playerId." });
+      else if (!playerIds.has(e.playerId)) ep.push({ message: `Unknown player ${e.playerId}.` });
+      if (e.receiverId !== undefined && !playerIds.has(e.receiverId)) ep.push({ message: `Unknown receiver ${String(e.receiverId)}.`, repair: "Drop the receiver" });
+      if (e.yards !== undefined && !isNum(e.yards)) ep.push({ message: "Yards is not a number.", repair: "Drop the yards" });
+      if (e.note !== undefined && !isStr(e.note)) ep.push({ message: "Note is not text.", repair: "Drop the note" });
+      if (e.penalty !== undefined && !isStr(e.penalty)) ep.push({ message: "Penalty is not text.", repair: "Drop the penalty type" });
+      if (e.sit !== undefined && !isSituation(e.sit)) {
+        ep.push({ message: "Situation is malformed.", repair: "Drop the situation" });
+      }
+      if ((e.period !== undefined && !isNum(e.period)) || (e.clock !== undefined && !isNum(e.clock))) {
+        ep.push({ message: "Game time is malformed.", repair: "Drop the game time" });
+      }
+      if (e.playId !== undefined && !plays.some((x) => x.id === e.playId)) {
+        ep.push({ message: `Unknown play call ${String(e.playId)}.`, repair: "Drop the play call", always: true });
+      } else if (e.playId !== undefined && isOppEvent(e.type)) {
+        ep.push({ message: "Opponent event has a play call.", repair: "Drop the play call", always: true });
+      }
+      const event = keep<StatEvent>(epath, ep, () => ({
+        ...e,
+        id: isStr(e.id) && e.id && !events.some((x) => x.id === e.id) ? e.id : uid("e"),
+        type: e.type,
+        ts: isNum(e.ts) ? e.ts : Date.parse(dateISO),
+        playerId: isOppEvent(e.type) ? "" : e.playerId,
+        receiverId: e.receiverId !== undefined && playerIds.has(e.receiverId) ? e.receiverId : undefined,
+        yards: isNum(e.yards) ? e.yards : undefined,
+        note: isStr(e.note) ? e.note : undefined,
+        penalty: isStr(e.penalty) ? e.penalty : undefined,
+        sit: isSituation(e.sit) ? situationOf(e.sit) : undefined,
+        period: isNum(e.period) ? e.period : undefined,
+        clock: isNum(e.period) && isNum(e.clock) ? e.clock : undefined,
+        playId: !isOppEvent(e.type) && plays.some((x) => x.id === e.playId) ? e.playId : undefined,
+      }));
+      if (event) events.push(event);
+    });
+
+    const game = keep<Game>(path, problems, () => ({
+      ...g,
+      id: isStr(g.id) && g.id ? g.id : uid("g"),
+      opponent: isStr(g.opponent) && g.opponent.trim() ? g.opponent : "Unknown",
+      dateISO,
+      ruleSet: knownRules ? g.ruleSet : DEFAULT_RULESET,
+      seasonId: seasons.some((x) => x.id === g.seasonId) ? g.seasonId : fallbackSeasonId,
+      events,
+      final: isObj(g.final) && isNum(g.final.us) && isNum(g.final.them) ? (g.final as Score) : undefined,
+      pbp: isSituation(g.pbp) ? situationOf(g.pbp) : undefined,
+      clock: clockOk
+        ? {
+            ...g.clock,
+            runningSince: isNum(g.clock.runningSince) ? g.clock.runningSince : undefined,
+            timeouts: g.clock.timeouts.filter((t: any) => isObj(t) && (t.side === "us" || t.side === "them") && isNum(t.period)),
+          }
+        : undefined,
+    }));
+    if (game) games.push(game);
+  });
+
+  const ui = isObj(raw.ui) ? raw.ui : {};
+  return {
+    issues,
+    store: {
+      version: SCHEMA_VERSION,
+      players,
+      teams,
+      seasons,
+      games,
+      ruleSets,
+      plays,
+      ui: {
+        selectedGameId: games.some((g) => g.id === ui.selectedGameId) ? ui.selectedGameId : undefined,
+        seasonId: seasons.some((x) => x.id === ui.seasonId) ? ui.seasonId : fallbackSeasonId,
+      },
+    },
+  };
 }
 
-function fmtDate(iso: string) {
-  // Expect YYYY-MM-DD
-  return iso;
+// `issues` lists what was repaired or skipped, for the notice shown on start.
+function loadStore(): { store: Store; issues: ValidationIssue[] } {
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (!raw) return { store: emptyStore(), issues: [] };
+  try {
+    const parsed = JSON.parse(raw);
+    // Stores written before the schema version existed are v1.
+    if (isObj(parsed) && parsed.version === undefined) parsed.version = Number(localStorage.getItem(SCHEMA_KEY)) || 1;
+    const { store, issues } = validateStore(parsed, "repair");
+    if (store) return { store, issues };
+  } catch {
+    // fall through
+  }
+  // Unreadable: keep a copy before the empty store overwrites it.
+  localStorage.setItem(`${STORAGE_KEY}_backup`, raw);
+  return { store: emptyStore(), issues: [{ path: "", message: "Saved data couldn't be read; starting empty. A copy was kept in this browser." }] };
 }
 
-function cls(...xs: Array<string | false | undefined | null>) {
-  return xs.filter(Boolean).join(" ");
+// ----- Storage -----
+// Data lives in IndexedDB, one row per record keyed like sync ops (player:<id>,
+// game:<id>, event:<gameId>:<eventId>, ...) plus a meta row with the schema
+// version, ui and list order, so a logged play writes one small row instead of
+// the whole store. Where IndexedDB isn't available the whole store goes to
+// localStorage under STORAGE_KEY, as it always has.
+
+const DB_NAME = "flag_5v5_stat_tracker";
+const DB_RECORDS = "records";
+const META_KEY = "meta";
+const QUOTA_WARN = 0.8; // warn once this share of the browser's quota is used
+
+type StorageBackend = {
+  kind: "IndexedDB" | "localStorage";
+  // `prev` is what's already saved (undefined when nothing is)
+  save: (prev: Store | undefined, next: Store) => Promise<void>;
+};
+
+type StoreMeta = {
+  version: number;
+  ui: Store["ui"];
+  order: Record<"players" | "teams" | "seasons" | "ruleSets" | "plays" | "games", Id[]>;
+};
+
+function storeMeta(s: Store): StoreMeta {
+  const ids = (list: Array<{ id: Id }>) => list.map((x) => x.id);
+  return {
+    version: s.version,
+    ui: s.ui,
+    order: { players: ids(s.players), teams: ids(s.teams), seasons: ids(s.seasons), ruleSets: ids(s.ruleSets), plays: ids(s.plays), games: ids(s.games) },
+  };
 }
 
-const SectionTitle: React.FC<{ children: React.ReactNode }>=({children})=> (
-  <div className="text-lg font-semibold tracking-tight">{children}</div>
-);
+// Sorts each list to the saved id order; ids it doesn't list go last.
+function withOrder(s: Store, order: Record<string, unknown>): Store {
+  const inOrder = <T extends { id: Id }>(list: T[], ids: unknown) => {
+    const pos = new Map((Array.isArray(ids) ? ids : []).map((id, i) => [id, i]));
+    return [...list].sort((a, b) => (pos.get(a.id) ?? pos.size) - (pos.get(b.id) ?? pos.size));
+  };
+  return {
+    ...s,
+    players: inOrder(s.players, order.players),
+    teams: inOrder(s.teams, order.teams),
+    seasons: inOrder(s.seasons, order.seasons),
+    ruleSets: inOrder(s.ruleSets, order.ruleSets),
+    plays: inOrder(s.plays, order.plays),
+    games: inOrder(s.games, order.games),
+  };
+}
 
-const Card: React.FC<{ children: React.ReactNode; className?: string }>=({children, className})=> (
-  <div className={cls("rounded-2xl shadow-sm border border-neutral-200 bg-white", className)}>{children}</div>
-);
+function idbRequest<T>(req: IDBRequest<T>) {
+  return new Promise<T>((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
 
-const CardBody: React.FC<{ children: React.ReactNode; className?: string }>=({children, className})=> (
-  <div className={cls("p-4", className)}>{children}</div>
-);
+function idbDone(tx: IDBTransaction) {
+  return new Promise<void>((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error ?? new Error("IndexedDB write failed"));
+  });
+}
 
-const Btn: React.FC<React.ButtonHTMLAttributes<HTMLButtonElement> & { variant?: "primary" | "ghost" | "danger" }>=({variant="primary", className, ...props})=> (
-  <button
-    {...props}
-    className={cls(
-      "rounded-xl px-3 py-2 text-sm font-medium transition active:scale-[0.99] disabled:opacity-50",
-      variant === "primary" && "bg-neutral-900 text-white hover:bg-neutral-800",
-      variant === "ghost" && "bg-transparent border border-neutral-200 hover:bg-neutral-50",
-      variant === "danger" && "bg-red-600 text-white hover:bg-red-500",
-      className
-    )}
-  />
-);
+function openDb() {
+  return new Promise<IDBDatabase>((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(DB_RECORDS);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB is blocked by another tab"));
+  });
+}
 
-const Input: React.FC<React.InputHTMLAttributes<HTMLInputElement>> = (props) => (
-  <input
-    {...props}
-    className={cls(
-      "w-full rounded-xl border border-neutral-200 bg-white px-3 py-2 text-sm outline-none",
-      "focus:ring-2 focus:ring-neutral-200"
-    )}
-  />
-);
+async function idbLoad(db: IDBDatabase): Promise<{ store?: Store; issues: ValidationIssue[] } | undefined> {
+  const os = db.transaction(DB_RECORDS, "readonly").objectStore(DB_RECORDS);
+  const [keys, values] = await Promise.all([idbRequest(os.getAllKeys()), idbRequest(os.getAll())]);
+  const rows = keys.map((k, i) => ({ key: String(k), value: values[i] }));
+  const meta = rows.find((r) => r.key === META_KEY)?.value;
+  if (!isObj(meta)) return undefined;
+  // Games go in before events, which need their game to land.
+  const ops = rows
+    .filter((r) => r.key !== META_KEY)
+    .map((r) => ({ ...r, at: 0, device: "" }))
+    .sort((a, b) => Number(a.key.startsWith("event:")) - Number(b.key.startsWith("event:")));
+  const built = applyOps({ version: meta.version, players: [], teams: [], seasons: [], games: [], ruleSets: [], plays: [], ui: meta.ui }, ops);
+  return validateStore(withOrder(built, isObj(meta.order) ? meta.order : {}), "repair");
+}
 
-const Select: React.FC<React.SelectHTMLAttributes<HTMLSelectElement>> = (props) => (
-  <select
-    {...props}
-    className={cls(
-      "w-full rounded-xl border border-neutral-200 bg-white px-3 py-2 text-sm outline-none",
-      "focus:ring-2 focus:ring-neutral-200"
-    )}
-  />
-);
+function idbBackend(db: IDBDatabase): StorageBackend {
+  return {
+    kind: "IndexedDB",
+    save: async (prev, next) => {
+      const changes = prev ? diffRecords(prev, next) : [...syncRecords(next)].map(([key, value]) => ({ key, value }));
+      const meta = storeMeta(next);
+      const metaChanged = !prev || JSON.stringify(storeMeta(prev)) !== JSON.stringify(meta);
+      if (!changes.length && !metaChanged) return;
+      const tx = db.transaction(DB_RECORDS, "readwrite");
+      const os = tx.objectStore(DB_RECORDS);
+      for (const { key, value } of changes) {
+        if (value === undefined) os.delete(key);
+        else os.put(value, key);
+      }
+      if (metaChanged) os.put(meta, META_KEY);
+      await idbDone(tx);
+    },
+  };
+}
 
-export default function App() {
-  const [store, setStore] = useState<Store>(() => loadStore());
+const localBackend: StorageBackend = {
+  kind: "localStorage",
+  save: async (_prev, next) => saveStore(next),
+};
 
-  useEffect(() => {
-    saveStore(store);
-  }, [store]);
+let opening: Promise<{ store: Store; storage: StorageBackend; issues: ValidationIssue[] }> | undefined;
 
-  const playersById = useMemo(() => {
-    const m: Record<string, Player> = {};
-    for (const p of store.players) m[p.id] = p;
-    return m;
-  }, [store.players]);
+// IndexedDB when it works, localStorage otherwise. On the first run with
+// IndexedDB, data an older version saved under STORAGE_KEY moves over and the
+// localStorage copy is removed once it's safely written.
+function openStorage() {
+  opening ??= (async () => {
+    try {
+      if (typeof indexedDB === "undefined") throw new Error("IndexedDB is not available");
+      const db = await openDb();
+      const storage = idbBackend(db);
+      const saved = await idbLoad(db);
+      if (saved?.store) return { store: saved.store, storage, issues: saved.issues };
+      const { store, issues } = loadStore();
+      await storage.save(undefined, store);
+      localStorage.removeItem(STORAGE_KEY);
+      localStorage.removeItem(SCHEMA_KEY);
+      return { store, storage, issues };
+    } catch {
+      // The footer says where data is kept.
+      return { ...loadStore(), storage: localBackend };
+    }
+  })();
+  return opening;
+}
 
-  const selectedGame = useMemo(
-    () => store.games.find((g) => g.id === store.ui.selectedGameId),
-    [store.games, store.ui.selectedGameId]
-  );
+// How full the browser's storage for this site is, where it says.
+async function storageUsage() {
+  const est = await navigator.storage?.estimate?.();
+  return est?.quota ? { used: est.usage ?? 0, quota: est.quota } : undefined;
+}
+
+// Whether the browser has promised not to evict our data under storage
+// pressure, asking for it when `ask` is set. The browser decides on its own
+// (Chrome grants it to installed or often-used sites), so this can stay false.
+async function persistStorage(ask: boolean) {
+  const s = navigator.storage;
+  if (!s?.persisted) return undefined;
+  if (await s.persisted()) return true;
+  return ask && s.persist ? s.persist() : false;
+}
+
+// ----- Offline app -----
+// Production builds register sw.js (see vite.config.js), which precaches the
+// app so it reloads with no signal. A new version waits until the user takes
+// it from the "Update available" banner.
 
-  const [tab, setTab] = useState<"roster" | "games" | "game">("games");
+const UPDATE_CHECK_MS = 60 * 60_000;
+
+function useServiceWorker() {
+  const [waiting, setWaiting] = useState<ServiceWorker | null>(null);
 
   useEffect(() => {
-    if (selectedGame) setTab("game");
-  }, [selectedGame?.id]);
+    if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+    let reg: ServiceWorkerRegistration | undefined;
+    // Only an update has an old worker in control; the first install doesn't prompt.
+    const offer = (sw: ServiceWorker | null) => {
+      if (sw && navigator.serviceWorker.controller) setWaiting(sw);
+    };
+    navigator.serviceWorker
+      .register("./sw.js")
+      .then((r) => {
+        reg = r;
+        offer(r.waiting);
+        r.addEventListener("updatefound", () => {
+          const sw = r.installing;
+          sw?.addEventListener("statechange", () => {
+            if (sw.state === "installed") offer(sw);
+          });
+        });
+      })
+      // Without a worker the app still runs, it just won't load offline.
+      .catch(() => undefined);
+    const t = setInterval(() => void reg?.update().catch(() => undefined), UPDATE_CHECK_MS);
+    return () => clearInterval(t);
+  }, []);
 
-  // ----- Roster UI -----
-  const [newPlayerName, setNewPlayerName] = useState("");
-  const [newPlayerJersey, setNewPlayerJersey] = useState("");
+  const applyUpdate = useCallback(() => {
+    if (!waiting) return;
+    navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true });
+    waiting.postMessage({ type: "SKIP_WAITING" });
+  }, [waiting]);
 
-  const addPlayer = () => {
-    const name = newPlayerName.trim();
+  return { updateReady: !!waiting, applyUpdate };
+}
+
+// ----- Merge import -----
+// Two exports of the same team (e.g. one parent on offense, one on defense) are
+// combined record by record. Players, teams, seasons and games match by id, then
+// by name/jersey, name, team + name and opponent + date. Events are unioned;
+// anything that disagrees becomes a conflict for the user to settle.
+
+type MergeConflict = {
+  key: string;
+  label: string;
+  local: string;
+  incoming: string;
+  apply: (s: Store) => Store; // takes the incoming side
+};
+
+type MergePlan = {
+  merged: Store; // local side of every conflict
+  conflicts: MergeConflict[];
+  summary: { playersAdded: number; gamesAdded: number; gamesMatched: number; eventsAdded: number; duplicates: number };
+};
+
+const norm = (x?: string) => (x ?? "").trim().toLowerCase();
+
+function describeEvent(e: StatEvent, players: Player[]) {
+  const name = (id?: Id) => players.find((p) => p.id === id)?.name ?? "Unknown";
+  const who = isOppEvent(e.type) ? "Opponent" : name(e.playerId);
+  return `${who}: ${e.type}${e.penalty ? ` (${e.penalty})` : ""}${e.receiverId ? ` → ${name(e.receiverId)}` : ""}${e.yards !== undefined ? `, ${e.yards} yds` : ""}${e.note ? `, "${e.note}"` : ""} @ ${new Date(e.ts).toLocaleTimeString()}`;
+}
+
+function describeRuleSet(r: RuleSetDef) {
+  const pats = r.pats.map((p) => `${p.points}@${p.yards}`).join("/") || "none";
+  return `${r.name}: TD ${r.tdPoints}, PAT ${pats}, return ${r.allowPatReturn ? r.patReturnPoints : "–"}, safety ${r.safetyPoints || "–"}, ${r.fieldYards} yd field, ${r.halfMinutes ? `${r.halfMinutes} min halves` : "untimed"}, OT ${r.overtimePeriods}${r.disabledEvents?.length ? `, ${r.disabledEvents.length} event types off` : ""}`;
+}
+
+export function planMerge(local: Store, incoming: Store): MergePlan {
+  const conflicts: MergeConflict[] = [];
+  const summary = { playersAdded: 0, gamesAdded: 0, gamesMatched: 0, eventsAdded: 0, duplicates: 0 };
+
+  const players = [...local.players];
+  const playerMap: Record<Id, Id> = {};
+  for (const p of incoming.players) {
+    const match =
+      local.players.find((l) => l.id === p.id) ??
+      local.players.find((l) => norm(l.name) === norm(p.name) && (!l.jersey || !p.jersey || norm(l.jersey) === norm(p.jersey)));
+    if (!match) {
+      players.push(p);
+      playerMap[p.id] = p.id;
+      summary.playersAdded += 1;
+      continue;
+    }
+    playerMap[p.id] = match.id;
+    for (const field of ["name", "jersey", "position"] as const) {
+      const mine = match[field];
+      const theirs = p[field];
+      if (!theirs || mine === theirs) continue;
+      if (!mine) {
+        const i = players.findIndex((x) => x.id === match.id);
+        players[i] = { ...players[i], [field]: theirs };
+        continue;
+      }
+      conflicts.push({
+        key: `player:${match.id}:${field}`,
+        label: `Player ${match.name}: ${field}`,
+        local: mine,
+        incoming: theirs,
+        apply: (s) => ({ ...s, players: s.players.map((x) => (x.id === match.id ? { ...x, [field]: theirs } : x)) }),
+      });
+    }
+  }
+  const mapPlayer = (id?: Id) => (id ? playerMap[id] ?? id : id);
+
+  const teams = [...local.teams];
+  const teamMap: Record<Id, Id> = {};
+  for (const t of incoming.teams) {
+    const match = local.teams.find((l) => l.id === t.id) ?? local.teams.find((l) => norm(l.name) === norm(t.name));
+    if (match) teamMap[t.id] = match.id;
+    else {
+      teams.push(t);
+      teamMap[t.id] = t.id;
+    }
+  }
+
+  const seasons = local.seasons.map((x) => ({ ...x, playerIds: [...x.playerIds] }));
+  const seasonMap: Record<Id, Id> = {};
+  for (const x of incoming.seasons) {
+    const teamId = teamMap[x.teamId] ?? x.teamId;
+    const match = seasons.find((l) => l.id === x.id) ?? seasons.find((l) => l.teamId === teamId && norm(l.name) === norm(x.name));
+    const roster = x.playerIds.map((pid) => playerMap[pid] ?? pid);
+    if (match) {
+      seasonMap[x.id] = match.id;
+      match.playerIds = [...new Set([...match.playerIds, ...roster])];
+    } else {
+      seasons.push({ ...x, teamId, playerIds: roster });
+      seasonMap[x.id] = x.id;
+    }
+  }
+
+  const ruleSets = [...local.ruleSets];
+  const ruleMap: Record<Id, Id> = {};
+  for (const r of incoming.ruleSets) {
+    const match = local.ruleSets.find((l) => l.id === r.id) ?? local.ruleSets.find((l) => norm(l.name) === norm(r.name));
+    if (!match) {
+      ruleSets.push(r);
+      continue;
+    }
+    ruleMap[r.id] = match.id;
+    if (describeRuleSet(match) === describeRuleSet(r) && match.notes.join("\n") === r.notes.join("\n")) continue;
+    conflicts.push({
+      key: `rules:${match.id}`,
+      label: `Rule set ${match.name}`,
+      local: describeRuleSet(match),
+      incoming: describeRuleSet(r),
+      apply: (s) => ({ ...s, ruleSets: s.ruleSets.map((x) => (x.id === match.id ? { ...r, id: match.id } : x)) }),
+    });
+  }
+
+  const plays = [...local.plays];
+  const playMap: Record<Id, Id> = {};
+  for (const x of incoming.plays) {
+    const teamId = teamMap[x.teamId] ?? x.teamId;
+    const match = local.plays.find((l) => l.id === x.id) ?? local.plays.find((l) => l.teamId === teamId && norm(l.name) === norm(x.name));
+    if (match) playMap[x.id] = match.id;
+    else plays.push({ ...x, teamId });
+  }
+
+  const games = [...local.games];
+  for (const raw of incoming.games) {
+    const g = { ...raw, ruleSet: ruleMap[raw.ruleSet] ?? raw.ruleSet };
+    const events = g.events.map((e) => ({
+      ...e,
+      playerId: mapPlayer(e.playerId) ?? "",
+      receiverId: mapPlayer(e.receiverId),
+      playId: e.playId ? playMap[e.playId] ?? e.playId : undefined,
+    }));
+    const match =
+      local.games.find((l) => l.id === g.id) ??
+      local.games.find((l) => norm(l.opponent) === norm(g.opponent) && l.dateISO === g.dateISO);
+    if (!match) {
+      games.push({ ...g, seasonId: seasonMap[g.seasonId] ?? g.seasonId, events });
+      summary.gamesAdded += 1;
+      summary.eventsAdded += events.length;
+      continue;
+    }
+    summary.gamesMatched += 1;
+    const label = `Game vs ${match.opponent} (${match.dateISO})`;
+    const patchGame = (fn: (x: Game) => Game) => (s: Store) => ({ ...s, games: s.games.map((x) => (x.id === match.id ? fn(x) : x)) });
+
+    for (const field of ["opponent", "dateISO", "ruleSet"] as const) {
+      if (g[field] === match[field]) continue;
+      conflicts.push({
+        key: `game:${match.id}:${field}`,
+        label: `${label}: ${field}`,
+        local: String(match[field]),
+        incoming: String(g[field]),
+        apply: patchGame((x) => ({ ...x, [field]: g[field] })),
+      });
+    }
+    let final = match.final ?? g.final;
+    if (match.final && g.final && (match.final.us !== g.final.us || match.final.them !== g.final.them)) {
+      final = match.final;
+      conflicts.push({
+        key: `game:${match.id}:final`,
+        label: `${label}: final score`,
+        local: `${match.final.us}-${match.final.them}`,
+        incoming: `${g.final.us}-${g.final.them}`,
+        apply: patchGame((x) => ({ ...x, final: g.final })),
+      });
+    }
+
+    const merged = [...match.events];
+    for (const e of events) {
+      const same = match.events.find((l) => l.id === e.id);
+      if (same) {
+        if (describeEvent(same, players) !== describeEvent(e, players)) {
+          conflicts.push({
+            key: `event:${e.id}`,
+            label: `${label}: edited event`,
+            local: describeEvent(same, players),
+            incoming: describeEvent(e, players),
+            apply: patchGame((x) => ({ ...x, events: x.events.map((l) => (l.id === e.id ? e : l)) })),
+          });
+        }
+        summary.duplicates += 1;
+        continue;
+      }
+      // Same play logged on both phones: same type and players within a minute.
+      const twin = match.events.find(
+        (l) =>
+          l.type === e.type &&
+          l.playerId === e.playerId &&
+          (l.receiverId ?? "") === (e.receiverId ?? "") &&
+          Math.abs(l.ts - e.ts) < 60_000
+      );
+      if (twin) {
+        conflicts.push({
+          key: `dup:${e.id}`,
+          label: `${label}: possible duplicate (incoming = keep both)`,
+          local: describeEvent(twin, players),
+          incoming: describeEvent(e, players),
+          apply: patchGame((x) => ({ ...x, events: [...x.events, e].sort((a, b) => b.ts - a.ts) })),
+        });
+        summary.duplicates += 1;
+        continue;
+      }
+      merged.push(e);
+      summary.eventsAdded += 1;
+    }
+    games[games.indexOf(match)] = { ...match, final, events: merged.sort((a, b) => b.ts - a.ts) };
+  }
+
+  return { merged: { ...local, players, teams, seasons, games, ruleSets, plays }, conflicts, summary };
+}
+
+export function applyMerge(plan: MergePlan, choices: Record<string, "local" | "incoming">) {
+  return plan.conflicts.reduce((s, c) => (choices[c.key] === "incoming" ? c.apply(s) : s), plan.merged);
+}
+
+function saveStore(store: Store) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  localStorage.setItem(SCHEMA_KEY, String(store.version));
+}
+
+function eventLabel(type: EventType, r?: Player, penalty?: string) {
+  const def = eventDef(type);
+  if (!def) return type;
+  return `${def.label}${def.penalty && penalty ? `: ${penalty}` : ""}${def.receiver && r ? ` → ${r.name}` : ""}`;
+}
+
+function credit(s: PlayerStats, credits: StatCredit, yards: number, points: number) {
+  for (const [k, v] of Object.entries(credits) as Array<[keyof PlayerStats, StatCredit[keyof PlayerStats]]>) {
+    const n = v === "yards" ? yards : v === "points" ? points : v ?? 0;
+    s[k] = k === "long" ? Math.max(s.long, n) : s[k] + n;
+  }
+}
+
+function computeStats(players: Player[], events: StatEvent[], rules: RuleSetDef) {
+  const byId: Record<string, PlayerStats> = {};
+  for (const p of players) byId[p.id] = emptyStats();
+
+  const ensure = (pid: Id) => {
+    if (!byId[pid]) byId[pid] = emptyStats();
+    return byId[pid];
+  };
+
+  for (const e of events) {
+    const def = eventDef(e.type);
+    if (def.side === "them") continue;
+    const y = e.yards ?? 0;
+    const pts = def.points?.(rules) ?? 0;
+    credit(ensure(e.playerId), def.primary ?? {}, y, pts);
+    if (def.receiver && e.receiverId) credit(ensure(e.receiverId), def.receiver, y, pts);
+  }
+
+  return byId;
+}
+
+// Points one event puts on the board for each side.
+function eventScore(e: StatEvent, rules: RuleSetDef): Score {
+  const def = eventDef(e.type);
+  const pts = def.points?.(rules) ?? 0;
+  return def.side === "us" ? { us: pts, them: 0 } : { us: 0, them: pts };
+}
+
+// Team score from the event stream. Player points can't be summed for this:
+// a PASS_TD credits the TD to both the passer and the receiver.
+function computeScore(game: Game, rules: RuleSetDef): Score {
+  const score: Score = { us: 0, them: 0 };
+  for (const e of game.events) {
+    const pts = eventScore(e, rules);
+    score.us += pts.us;
+    score.them += pts.them;
+  }
+  return score;
+}
+
+// Scoring plays in game order with the running score after each.
+function scoringSummary(game: Game, rules: RuleSetDef) {
+  const running: Score = { us: 0, them: 0 };
+  const out: Array<{ e: StatEvent; score: Score }> = [];
+  for (const e of [...game.events].sort((a, b) => a.ts - b.ts)) {
+    const pts = eventScore(e, rules);
+    if (!pts.us && !pts.them) continue;
+    running.us += pts.us;
+    running.them += pts.them;
+    out.push({ e, score: { ...running } });
+  }
+  return out;
+}
+
+// ----- Game linter -----
+// Catches plays that were logged twice or can't have happened. Warnings with
+// an eventId are shown next to that event; the rest apply to the whole game.
+
+type LintWarning = {
+  key: string;
+  eventId?: Id;
+  message: string;
+  fix?: { label: string; apply: (g: Game) => Game };
+};
+
+const dropEvent = (id: Id) => (g: Game): Game => ({ ...g, events: g.events.filter((e) => e.id !== id) });
+
+const patchEvent = (id: Id, patch: Partial<StatEvent>) => (g: Game): Game => ({
+  ...g,
+  events: g.events.map((e) => (e.id === id ? { ...e, ...patch } : e)),
+});
+
+export function lintGame(game: Game, rules: RuleSetDef, players: Player[]): LintWarning[] {
+  const out: LintWarning[] = [];
+  const name = (id?: Id) => players.find((p) => p.id === id)?.name ?? "Unknown";
+  const events = [...game.events].sort((a, b) => a.ts - b.ts);
+
+  // A PASS_TD credits the receiver already; a REC_TD for the same play counts the TD twice.
+  const paired = new Set<Id>();
+  for (const rec of events.filter((e) => e.type === "REC_TD")) {
+    const pass = events.find((e) => e.type === "PASS_TD" && !paired.has(e.id) && Math.abs(e.ts - rec.ts) < 60_000);
+    if (!pass) continue;
+    paired.add(pass.id);
+    const sameReceiver = !pass.receiverId || pass.receiverId === rec.playerId;
+    out.push({
+      key: `double:${rec.id}`,
+      eventId: rec.id,
+      message: sameReceiver
+        ? `Looks like the same play as the pass TD by ${name(pass.playerId)}: the TD is counted twice.`
+        : `Logged right after a pass TD to ${name(pass.receiverId)}: probably the same play, counted twice.`,
+      fix: pass.receiverId
+        ? { label: "Remove this receiving TD", apply: dropEvent(rec.id) }
+        : {
+            label: `Merge into the pass TD (receiver ${name(rec.playerId)})`,
+            apply: (g) => dropEvent(rec.id)(patchEvent(pass.id, { receiverId: rec.playerId, yards: pass.yards ?? rec.yards })(g)),
+          },
+    });
+  }
+
+  // Tries follow a touchdown: the scoring team converts, the other side can return it.
+  let tryFor: Possession | null = null;
+  for (const e of events) {
+    const def = eventDef(e.type);
+    if (def.receiver && e.receiverId && e.receiverId === e.playerId) {
+      out.push({
+        key: `self:${e.id}`,
+        eventId: e.id,
+        message: "The receiver is the passer.",
+        fix: { label: "Clear the receiver", apply: patchEvent(e.id, { receiverId: undefined }) },
+      });
+    }
+    if (!eventEnabled(e.type, rules)) {
+      out.push({
+        key: `rules:${e.id}`,
+        eventId: e.id,
+        message: `${def.label} isn't allowed under ${rules.name} rules.`,
+        fix: { label: "Remove it", apply: dropEvent(e.id) },
+      });
+    }
+    if (def.tryPlay) {
+      const kicking = def.tryPlay === "offense" ? def.side : otherSide(def.side);
+      if (tryFor !== kicking) {
+        out.push({
+          key: `try:${e.id}`,
+          eventId: e.id,
+          message: `${def.label} with no ${kicking === "us" ? "" : "opponent "}touchdown before it.`,
+          fix: { label: "Remove it", apply: dropEvent(e.id) },
+        });
+      }
+      tryFor = null;
+    } else if (def.drive === "TD" || def.drive === "Pick 6") {
+      tryFor = def.side;
+    } else if (!def.penalty) {
+      tryFor = null;
+    }
+  }
+
+  // Points credited to players, less the receiver's share of each pass TD,
+  // should add up to our score.
+  const score = computeScore(game, rules);
+  const byId = computeStats(players, game.events, rules);
+  const credited = players.reduce((n, p) => n + (byId[p.id]?.points ?? 0), 0);
+  const shared = game.events.filter((e) => e.type === "PASS_TD" && e.receiverId).length * rules.tdPoints;
+  if (credited - shared !== score.us) {
+    out.push({
+      key: "points",
+      message: `Player points add up to ${credited - shared} but the team has ${score.us}. Check for events credited to players who aren't on this game's roster.`,
+    });
+  }
+  if (game.final && (game.final.us !== score.us || game.final.them !== score.them)) {
+    out.push({
+      key: "final",
+      message: `Final score ${game.final.us}-${game.final.them} doesn't match the logged events (${score.us}-${score.them}).`,
+      fix: { label: `Set final to ${score.us}-${score.them}`, apply: (g) => ({ ...g, final: score }) },
+    });
+  }
+  return out;
+}
+
+// ----- Command bar -----
+// Short codes for fast entry, keyed by jersey number: "12 c 7 14y" is a
+// completion from #12 to #7 for 14 yards, "3 fp" a flag pull, "12 td 7 +2" a
+// pass TD followed by a made 2-point try by #12 ("+2x" for a miss). The first
+// jersey is the player, the second the receiver. A leading "opp" logs the
+// opponent's event instead, "@slant" tags the play call, and anything after ";"
+// becomes the note.
+
+type CommandEvent = Pick<StatEvent, "type" | "playerId" | "receiverId" | "yards" | "penalty" | "note" | "playId">;
+
+type CommandParse = { events: CommandEvent[]; errors: string[] };
+
+type CommandSuggestion = { token: string; label: string };
+
+const jerseyOf = (p: Player) => (p.jersey ?? "").replace(/^#/, "");
+
+// Our roster's numbers mean nothing on the other team.
+const OPP_JERSEY_ERROR = "Opponent plays don't take jersey numbers";
+
+// How a play is typed after "@": its name in lowercase letters and digits.
+const playKey = (x: Play) => x.name.toLowerCase().replace(/[^a-z0-9]+/g, "");
+
+// The codes one side can use under these rules. No prototype, so a typed word
+// like "constructor" is an unknown code rather than an Object method.
+function commandCodes(side: Possession, rules: RuleSetDef) {
+  const out: Record<string, EventType> = Object.create(null);
+  for (const t of EVENT_TYPES) {
+    const def = eventDef(t);
+    if (def.code && def.side === side && eventEnabled(t, rules)) out[def.code] = t;
+  }
+  return out;
+}
+
+export function parseCommand(text: string, players: Player[], rules: RuleSetDef, penalty: string, plays: Play[]): CommandParse {
+  const errors: string[] = [];
+  const [body, ...rest] = text.split(";");
+  const note = rest.join(";").trim() || undefined;
+  let tokens = body.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (!tokens.length) return { events: [], errors };
+  const side: Possession = tokens[0] === "opp" ? "them" : "us";
+  if (side === "them") tokens = tokens.slice(1);
+  const codes = commandCodes(side, rules);
+
+  let code: string | undefined;
+  let yards: number | undefined;
+  let tryAfter: { n: number; made: boolean } | undefined;
+  let playId: Id | undefined;
+  const jerseys: Id[] = [];
+  const words: string[] = [];
+  for (const tok of tokens) {
+    const yds = /^(-?\d+)y(ds?)?$/.exec(tok);
+    const jersey = /^#?(\d+)$/.exec(tok);
+    const xp = /^\+(\d)(x?)$/.exec(tok);
+    if (tok.startsWith("@")) {
+      const key = tok.slice(1).replace(/[^a-z0-9]+/g, "");
+      const matches = plays.filter((x) => playKey(x) === key);
+      const found = matches.length ? matches : plays.filter((x) => key && playKey(x).startsWith(key));
+      if (found.length === 1) playId = found[0].id;
+      else errors.push(found.length ? `More than one play starts with "${tok.slice(1)}"` : `No play called "${tok.slice(1)}"`);
+    } else if (yds) yards = Number(yds[1]);
+    else if (jersey && side === "them") {
+      if (!errors.includes(OPP_JERSEY_ERROR)) errors.push(OPP_JERSEY_ERROR);
+    } else if (jersey) {
+      const matches = players.filter((p) => jerseyOf(p) === jersey[1]);
+      if (matches.length === 1) jerseys.push(matches[0].id);
+      else errors.push(matches.length ? `More than one player wears #${jersey[1]}` : `No player wears #${jersey[1]}`);
+    } else if (xp) tryAfter = { n: Number(xp[1]), made: !xp[2] };
+    else if (!code && (codes[tok] || (side === "us" && tok === "td"))) code = tok;
+    else words.push(tok);
+  }
+  const [playerId, receiverId, ...extra] = jerseys;
+  if (side === "them" && playId) errors.push("Play calls are for our snaps, not the opponent's");
+  if (extra.length) errors.push("Too many jersey numbers: one player, then one receiver");
+  if (!code && !tryAfter) errors.push(words.length ? `Unknown code "${words[0]}"` : "Add an event code, e.g. c, fp or td");
+  if (side === "us" && !playerId && !errors.some((e) => e.includes("wears"))) errors.push("Start with the player's jersey number");
+
+  const events: CommandEvent[] = [];
+  if (code) {
+    // "td" is a pass TD when there's a receiver, a rush TD otherwise
+    const type = code === "td" && side === "us" ? (receiverId ? codes.ptd : codes.rtd) : codes[code];
+    if (!type) errors.push(`${receiverId ? "Pass" : "Rush"} TDs aren't tracked under ${rules.name}`);
+    else {
+      const def = eventDef(type);
+      const pen = def.penalty && words.length ? PENALTY_TYPES.find((p) => words.every((w) => p.toLowerCase().split(/\W+/).some((x) => x.startsWith(w)))) : undefined;
+      if (words.length && !pen) errors.push(def.penalty ? `No penalty matches "${words.join(" ")}"` : `Unknown code "${words[0]}"`);
+      if (def.receiver && !receiverId && side === "us") errors.push(`${def.label} needs a receiver: add their jersey number after the code`);
+      if (!def.receiver && receiverId) errors.push(`${def.label} doesn't take a receiver`);
+      if (yards !== undefined && !def.yards) errors.push(`${def.label} doesn't take yards`);
+      events.push({
+        type,
+        playerId: side === "us" ? playerId ?? "" : "",
+        receiverId: def.receiver ? receiverId : undefined,
+        yards: def.yards ? yards : undefined,
+        penalty: def.penalty ? pen ?? penalty : undefined,
+        note,
+        playId: side === "us" ? playId : undefined,
+      });
+    }
+  } else if (words.length && tryAfter) errors.push(`Unknown code "${words[0]}"`);
+  if (tryAfter) {
+    const { n, made } = tryAfter;
+    const type = (side === "them" ? `OPP_XP_${n}` : made ? `XP_${n}` : `XP_MISS_${n}`) as EventType;
+    if (side === "them" && !made) errors.push("Opponent missed tries aren't logged");
+    else if (!EVENT_DEFS[type] || !eventEnabled(type, rules)) errors.push(`No ${n}-point try under ${rules.name}`);
+    else events.push({ type, playerId: side === "us" ? playerId ?? "" : "", note: code ? undefined : note, playId: side === "us" ? playId : undefined });
+  }
+  return { events, errors };
+}
+
+// Completions for the word being typed: roster jerseys, play calls or event codes.
+export function commandSuggestions(text: string, players: Player[], rules: RuleSetDef, plays: Play[]): CommandSuggestion[] {
+  if (text.includes(";")) return [];
+  const tokens = text.toLowerCase().split(/\s+/);
+  const last = tokens[tokens.length - 1];
+  if (!last) return [];
+  if (last.startsWith("@")) {
+    const key = last.slice(1).replace(/[^a-z0-9]+/g, "");
+    return plays
+      .filter((x) => playKey(x).startsWith(key))
+      .map((x) => ({ token: `@${playKey(x)}`, label: x.formation ? `${x.name} (${x.formation})` : x.name }))
+      .slice(0, 6);
+  }
+  const digits = /^#?(\d+)$/.exec(last);
+  if (digits) {
+    return players
+      .filter((p) => jerseyOf(p) && jerseyOf(p).startsWith(digits[1]))
+      .map((p) => ({ token: jerseyOf(p), label: `#${jerseyOf(p)} ${p.name}` }))
+      .slice(0, 6);
+  }
+  if (!/^[a-z]+$/.test(last)) return [];
+  const side: Possession = tokens[0] === "opp" && tokens.length > 1 ? "them" : "us";
+  const out = Object.entries(commandCodes(side, rules))
+    .filter(([c]) => c.startsWith(last))
+    .map(([c, t]) => ({ token: c, label: eventDef(t).label }));
+  if (side === "us" && "td".startsWith(last)) out.unshift({ token: "td", label: "Touchdown (pass with a receiver, else rush)" });
+  if (tokens.length === 1 && "opp".startsWith(last)) out.push({ token: "opp", label: "Opponent's event" });
+  return out.slice(0, 6);
+}
+
+function gameResult(score: Score): "W" | "L" | "T" {
+  if (score.us > score.them) return "W";
+  if (score.us < score.them) return "L";
+  return "T";
+}
+
+function addStats(into: PlayerStats, s: PlayerStats) {
+  for (const k of Object.keys(into) as Array<keyof PlayerStats>) {
+    into[k] = k === "long" ? Math.max(into[k], s[k]) : into[k] + s[k];
+  }
+  return into;
+}
+
+function perAttempt(yds: number, att: number) {
+  return att > 0 ? (yds / att).toFixed(1) : "–";
+}
+
+// Season view: run computeStats over every game and sum the per-player lines.
+// A player "played" a game if they show up in at least one of its events.
+function computeSeasonStats(players: Player[], games: Game[], rulesFor: (g: Game) => RuleSetDef) {
+  const totals: Record<string, PlayerStats> = {};
+  const gamesPlayed: Record<string, number> = {};
+  for (const p of players) {
+    totals[p.id] = emptyStats();
+    gamesPlayed[p.id] = 0;
+  }
+
+  for (const g of games) {
+    const byId = computeStats(players, g.events, rulesFor(g));
+    for (const pid of Object.keys(byId)) totals[pid] = addStats(totals[pid] ?? emptyStats(), byId[pid]);
+
+    const involved = new Set<Id>();
+    for (const e of g.events) {
+      if (isOppEvent(e.type)) continue;
+      involved.add(e.playerId);
+      if (e.receiverId) involved.add(e.receiverId);
+    }
+    for (const pid of involved) gamesPlayed[pid] = (gamesPlayed[pid] ?? 0) + 1;
+  }
+
+  return { totals, gamesPlayed };
+}
+
+const LEADERBOARDS: Array<{ key: keyof PlayerStats; label: string }> = [
+  { key: "points", label: "Points" },
+  { key: "passTD", label: "Pass TD" },
+  { key: "flagPulls", label: "Flag pulls" },
+  { key: "defInt", label: "INTs" },
+];
+
+// Events where one of the two players threw to the other. Two such players
+// can't be the same person: merging them would make self-passes that credit
+// the same yards and points twice.
+const passesBetween = (games: Game[], a: Id, b: Id) =>
+  games.reduce((n, g) => n + g.events.filter((e) => (e.playerId === a && e.receiverId === b) || (e.playerId === b && e.receiverId === a)).length, 0);
+
+// Folds a duplicate player record into the one being kept: every event and
+// roster spot moves over, and blank jersey/position fields are filled in.
+// Refused (the store comes back unchanged) when the two passed to each other.
+export function mergePlayers(s: Store, keepId: Id, dupId: Id): Store {
+  const keep = s.players.find((p) => p.id === keepId);
+  const dup = s.players.find((p) => p.id === dupId);
+  if (!keep || !dup || keepId === dupId || passesBetween(s.games, keepId, dupId)) return s;
+  const swap = (id?: Id) => (id === dupId ? keepId : id);
+  return {
+    ...s,
+    players: s.players
+      .filter((p) => p.id !== dupId)
+      .map((p) => (p.id === keepId ? { ...p, jersey: p.jersey || dup.jersey, position: p.position || dup.position } : p)),
+    seasons: s.seasons.map((x) =>
+      x.playerIds.includes(dupId) ? { ...x, playerIds: [...new Set(x.playerIds.map((pid) => swap(pid)!))] } : x
+    ),
+    games: s.games.map((g) =>
+      g.events.some((e) => e.playerId === dupId || e.receiverId === dupId)
+        ? { ...g, events: g.events.map((e) => ({ ...e, playerId: swap(e.playerId)!, receiverId: swap(e.receiverId) })) }
+        : g
+    ),
+  };
+}
+
+// Whether any game credits this player, as the primary player or receiver.
+const hasHistory = (games: Game[], id: Id) => games.some((g) => g.events.some((e) => e.playerId === id || e.receiverId === id));
+
+// ----- Player profiles -----
+
+type GameLine = { game: Game; s: PlayerStats };
+
+// One player's line in every game they took part in, oldest first.
+function playerGameLines(players: Player[], games: Game[], playerId: Id, rulesFor: (g: Game) => RuleSetDef): GameLine[] {
+  return games
+    .filter((g) => g.events.some((e) => !isOppEvent(e.type) && (e.playerId === playerId || e.receiverId === playerId)))
+    .sort((a, b) => a.dateISO.localeCompare(b.dateISO))
+    .map((g) => ({ game: g, s: computeStats(players, g.events, rulesFor(g))[playerId] ?? emptyStats() }));
+}
+
+function sumLines(lines: GameLine[]) {
+  return lines.reduce((t, l) => addStats(t, l.s), emptyStats());
+}
+
+const CAREER_HIGHS: Array<{ key: keyof PlayerStats; label: string }> = [
+  { key: "points", label: "Points" },
+  { key: "passComp", label: "Completions" },
+  { key: "passYds", label: "Passing yards" },
+  { key: "passTD", label: "Pass TDs" },
+  { key: "rushYds", label: "Rushing yards" },
+  { key: "rec", label: "Receptions" },
+  { key: "recYds", label: "Receiving yards" },
+  { key: "flagPulls", label: "Flag pulls" },
+  { key: "sacks", label: "Sacks" },
+  { key: "defInt", label: "Interceptions" },
+  { key: "long", label: "Longest play" },
+];
+
+// Best single game per category; categories the player never recorded are left out.
+function careerHighs(lines: GameLine[]) {
+  return CAREER_HIGHS.flatMap(({ key, label }) => {
+    const best = lines.reduce<GameLine | undefined>((b, l) => (l.s[key] > (b?.s[key] ?? 0) ? l : b), undefined);
+    return best ? [{ key, label, value: best.s[key], game: best.game }] : [];
+  });
+}
+
+// What a player has actually done on the field, whatever their listed position.
+function playedRoles(s: PlayerStats) {
+  const roles: string[] = [];
+  if (s.passAtt) roles.push("Passer");
+  if (s.rushAtt) roles.push("Rusher");
+  if (s.rec || s.drops) roles.push("Receiver");
+  if (s.flagPulls || s.sacks || s.defInt || s.passBreakups || s.defTD) roles.push("Defense");
+  return roles;
+}
+
+const compPct = (s: PlayerStats) => (s.passAtt ? Math.round((100 * s.passComp) / s.passAtt) : null);
+
+// Small line chart of one stat across games; null values (e.g. no pass
+// attempts for completion %) leave a gap.
+const TrendChart: React.FC<{ label: string; values: Array<number | null>; unit?: string }> = ({ label, values, unit = "" }) => {
+  const W = 240;
+  const H = 64;
+  const pad = 6;
+  const nums = values.filter((v): v is number => v !== null);
+  const max = Math.max(1, ...nums);
+  const x = (i: number) => (values.length < 2 ? W / 2 : pad + (i * (W - 2 * pad)) / (values.length - 1));
+  const y = (v: number) => H - pad - (v / max) * (H - 2 * pad);
+  let d = "";
+  values.forEach((v, i) => {
+    if (v === null) return;
+    d += `${i > 0 && values[i - 1] !== null ? "L" : "M"}${x(i).toFixed(1)} ${y(v).toFixed(1)}`;
+  });
+  return (
+    <div className="rounded-xl border border-neutral-200 bg-white p-3">
+      <div className="flex items-center justify-between text-xs text-neutral-600">
+        <span className="font-medium">{label}</span>
+        <span>{nums.length ? `last ${nums[nums.length - 1]}${unit} • high ${Math.max(...nums)}${unit}` : "no data"}</span>
+      </div>
+      <svg viewBox={`0 0 ${W} ${H}`} className="mt-1 h-16 w-full" preserveAspectRatio="none">
+        <line x1={pad} x2={W - pad} y1={H - pad} y2={H - pad} stroke="#e5e5e5" />
+        <path d={d} fill="none" stroke="#171717" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+        {values.map((v, i) => (v === null ? null : <circle key={i} cx={x(i)} cy={y(v)} r={2.5} fill="#171717" />))}
+      </svg>
+    </div>
+  );
+};
+
+// ----- Playbook -----
+// Plays belong to a team. Route diagrams are drawn on a PLAY_FIELD grid seen
+// from behind the offense, so routes run up the screen from the line of
+// scrimmage at y = PLAY_LOS.
+
+const PLAY_FIELD = { w: 100, h: 60 };
+const PLAY_LOS = 44;
+
+type PlayDraft = { id?: Id; name: string; formation: string; routes: PlayRoute[] };
+
+const emptyPlayDraft = (): PlayDraft => ({ name: "", formation: "", routes: [] });
+
+type PlayLine = { play: Play; team: PlayerStats; targets: Record<Id, number> };
+
+// Team line per play call: computeStats over each game's events tagged with
+// it, summed over players and games, plus who the ball went to.
+function playReport(plays: Play[], players: Player[], games: Game[], rulesFor: (g: Game) => RuleSetDef): PlayLine[] {
+  return plays.map((play) => {
+    const team = emptyStats();
+    const targets: Record<Id, number> = {};
+    for (const g of games) {
+      const events = g.events.filter((e) => e.playId === play.id);
+      if (!events.length) continue;
+      for (const line of Object.values(computeStats(players, events, rulesFor(g)))) addStats(team, line);
+      for (const e of events) {
+        const def = eventDef(e.type);
+        const target = def.receiver ? e.receiverId : def.primary?.rec ? e.playerId : undefined;
+        if (target) targets[target] = (targets[target] ?? 0) + 1;
+      }
+    }
+    return { play, team, targets };
+  });
+}
+
+// Snaps, TDs and yards from a team line. A completion credits both passer and
+// receiver, so catches only count beyond the completions (receptions logged
+// without a passer).
+function playOutcomes(t: PlayerStats) {
+  return {
+    snaps: t.passAtt + t.rushAtt + Math.max(0, t.rec - t.passComp),
+    tds: t.passTD + t.rushTD + Math.max(0, t.recTD - t.passTD),
+    yards: t.passYds + t.rushYds + Math.max(0, t.recYds - t.passYds),
+    tries: t.xp1Att + t.xp2Att + t.xp3Att,
+    made: t.xp1 + t.xp2 + t.xp3,
+  };
+}
+
+const hasCalls = (games: Game[], playId: Id) => games.some((g) => g.events.some((e) => e.playId === playId));
+
+// A play's route diagram; with `onAdd`, clicking adds a point there.
+const PlayDiagram: React.FC<{ routes: PlayRoute[]; className?: string; onAdd?: (pt: [number, number]) => void }> = ({ routes, className, onAdd }) => {
+  // Every diagram on the page needs its own marker id.
+  const arrowId = `play-arrow-${useId().replace(/:/g, "")}`;
+  const click = (e: React.MouseEvent<SVGSVGElement>) => {
+    if (!onAdd) return;
+    const box = e.currentTarget.getBoundingClientRect();
+    onAdd([
+      Math.round(((e.clientX - box.left) / box.width) * PLAY_FIELD.w),
+      Math.round(((e.clientY - box.top) / box.height) * PLAY_FIELD.h),
+    ]);
+  };
+  return (
+    <svg
+      viewBox={`0 0 ${PLAY_FIELD.w} ${PLAY_FIELD.h}`}
+      className={cls("aspect-[5/3] rounded-lg border border-neutral-200 bg-white", onAdd && "cursor-crosshair", className)}
+      onClick={click}
+    >
+      <defs>
+        <marker id={arrowId} viewBox="0 0 6 6" refX="5" refY="3" markerWidth="4" markerHeight="4" orient="auto">
+          <path d="M0 0L6 3L0 6z" fill="#171717" />
+        </marker>
+      </defs>
+      <line x1={0} x2={PLAY_FIELD.w} y1={PLAY_LOS} y2={PLAY_LOS} stroke="#d4d4d4" strokeDasharray="2 2" />
+      <rect x={PLAY_FIELD.w / 2 - 1.5} y={PLAY_LOS - 1} width={3} height={2} fill="#a3a3a3" />
+      {routes.map((r, i) =>
+        r.points.length ? (
+          <g key={i}>
+            {r.points.length > 1 ? (
+              <polyline points={r.points.map((pt) => pt.join(",")).join(" ")} fill="none" stroke="#171717" strokeWidth={1} markerEnd={`url(#${arrowId})`} />
+            ) : null}
+            <circle cx={r.points[0][0]} cy={r.points[0][1]} r={2.2} fill="#fff" stroke="#171717" strokeWidth={0.8} />
+          </g>
+        ) : null
+      )}
+    </svg>
+  );
+};
+
+function fmtDate(iso: string) {
+  // Expect YYYY-MM-DD
+  return iso;
+}
+
+function cls(...xs: Array<string | false | undefined | null>) {
+  return xs.filter(Boolean).join(" ");
+}
+
+const SectionTitle: React.FC<{ children: React.ReactNode }>=({children})=> (
+  <div className="text-lg font-semibold tracking-tight">{children}</div>
+);
+
+const Card: React.FC<{ children: React.ReactNode; className?: string }>=({children, className})=> (
+  <div className={cls("rounded-2xl shadow-sm border border-neutral-200 bg-white", className)}>{children}</div>
+);
+
+const CardBody: React.FC<{ children: React.ReactNode; className?: string }>=({children, className})=> (
+  <div className={cls("p-4", className)}>{children}</div>
+);
+
+const Btn: React.FC<React.ButtonHTMLAttributes<HTMLButtonElement> & { variant?: "primary" | "ghost" | "danger" }>=({variant="primary", className, ...props})=> (
+  <button
+    {...props}
+    className={cls(
+      "rounded-xl px-3 py-2 text-sm font-medium transition active:scale-[0.99] disabled:opacity-50",
+      variant === "primary" && "bg-neutral-900 text-white hover:bg-neutral-800",
+      variant === "ghost" && "bg-transparent border border-neutral-200 hover:bg-neutral-50",
+      variant === "danger" && "bg-red-600 text-white hover:bg-red-500",
+      className
+    )}
+  />
+);
+
+const Input: React.FC<React.InputHTMLAttributes<HTMLInputElement>> = (props) => (
+  <input
+    {...props}
+    className={cls(
+      "w-full rounded-xl border border-neutral-200 bg-white px-3 py-2 text-sm outline-none",
+      "focus:ring-2 focus:ring-neutral-200"
+    )}
+  />
+);
+
+const Select: React.FC<React.SelectHTMLAttributes<HTMLSelectElement>> = (props) => (
+  <select
+    {...props}
+    className={cls(
+      "w-full rounded-xl border border-neutral-200 bg-white px-3 py-2 text-sm outline-none",
+      "focus:ring-2 focus:ring-neutral-200"
+    )}
+  />
+);
+
+// What validateStore found, either about to be fixed (import review) or
+// already fixed (saved data repaired on start).
+const IssueList: React.FC<{ issues: ValidationIssue[]; done?: boolean }> = ({ issues, done }) => (
+  <div className="mt-2 max-h-64 space-y-1 overflow-auto rounded-xl border border-neutral-200 bg-white p-3 text-xs">
+    {issues.map((issue, i) => (
+      <div key={i}>
+        <span className="font-mono text-neutral-500">{issue.path || "(file)"}</span> {issue.message}{" "}
+        <span className={issue.repair ? "text-neutral-600" : "text-red-700"}>
+          {issue.repair ? `${done ? "Repaired" : "Repair"}: ${issue.repair}.` : done ? "Skipped." : "Will be skipped."}
+        </span>
+      </div>
+    ))}
+  </div>
+);
+
+// Box score columns, shared by the stats tables and CSV export. `per` divides
+// counting stats (per-game averages in the Season view); rates and the longest
+// play are shown as-is.
+type BoxColumn = {
+  label: string;
+  stat: keyof PlayerStats; // the column only shows when an enabled event type credits this
+  value: (s: PlayerStats, per: number) => string | number;
+  strong?: boolean;
+};
+
+const avg = (x: number, per: number) => (per > 1 ? (x / per).toFixed(1) : x);
+
+const BOX_COLUMNS: BoxColumn[] = [
+  { label: "P/C-A", stat: "passAtt", value: (s, per) => `${avg(s.passComp, per)}-${avg(s.passAtt, per)}` },
+  { label: "Pass Yds", stat: "passYds", value: (s, per) => avg(s.passYds, per) },
+  { label: "Y/A", stat: "passAtt", value: (s) => perAttempt(s.passYds, s.passAtt) },
+  { label: "Pass TD", stat: "passTD", value: (s, per) => avg(s.passTD, per) },
+  { label: "INT", stat: "intThrown", value: (s, per) => avg(s.intThrown, per) },
+  { label: "Rush", stat: "rushAtt", value: (s, per) => avg(s.rushAtt, per) },
+  { label: "Rush Yds", stat: "rushYds", value: (s, per) => avg(s.rushYds, per) },
+  { label: "YPC", stat: "rushAtt", value: (s) => perAttempt(s.rushYds, s.rushAtt) },
+  { label: "Rush TD", stat: "rushTD", value: (s, per) => avg(s.rushTD, per) },
+  { label: "Rec", stat: "rec", value: (s, per) => avg(s.rec, per) },
+  { label: "Rec Yds", stat: "recYds", value: (s, per) => avg(s.recYds, per) },
+  { label: "Rec TD", stat: "recTD", value: (s, per) => avg(s.recTD, per) },
+  { label: "Drop", stat: "drops", value: (s, per) => avg(s.drops, per) },
+  { label: "FP", stat: "flagPulls", value: (s, per) => avg(s.flagPulls, per) },
+  { label: "Sack", stat: "sacks", value: (s, per) => avg(s.sacks, per) },
+  { label: "Def INT", stat: "defInt", value: (s, per) => avg(s.defInt, per) },
+  { label: "Def TD", stat: "defTD", value: (s, per) => avg(s.defTD, per) },
+  { label: "PBU", stat: "passBreakups", value: (s, per) => avg(s.passBreakups, per) },
+  { label: "Sfty", stat: "safeties", value: (s, per) => avg(s.safeties, per) },
+  { label: "XP1 M-A", stat: "xp1Att", value: (s, per) => `${avg(s.xp1, per)}-${avg(s.xp1Att, per)}` },
+  { label: "XP2 M-A", stat: "xp2Att", value: (s, per) => `${avg(s.xp2, per)}-${avg(s.xp2Att, per)}` },
+  { label: "XP3 M-A", stat: "xp3Att", value: (s, per) => `${avg(s.xp3, per)}-${avg(s.xp3Att, per)}` },
+  { label: "PAT RTN", stat: "patRet2", value: (s, per) => avg(s.patRet2, per) },
+  { label: "Pen", stat: "penalties", value: (s, per) => avg(s.penalties, per) },
+  { label: "Pen Yds", stat: "penaltyYds", value: (s, per) => avg(s.penaltyYds, per) },
+  { label: "Long", stat: "long", value: (s) => s.long },
+  { label: "Pts", stat: "points", value: (s, per) => avg(s.points, per), strong: true },
+];
+
+// Box score columns for games under these rule sets.
+function boxColumns(rules: RuleSetDef[]) {
+  const credited = new Set<string>();
+  for (const t of EVENT_TYPES) {
+    if (!rules.some((r) => eventEnabled(t, r))) continue;
+    const def = eventDef(t);
+    for (const k of Object.keys({ ...def.primary, ...def.receiver })) credited.add(k);
+  }
+  return BOX_COLUMNS.filter((c) => credited.has(c.stat));
+}
+
+const BoxScoreHead: React.FC<{ columns: BoxColumn[] }> = ({ columns }) => (
+  <>
+    {columns.map((c) => (
+      <th key={c.label} className="px-3 py-2 text-right">{c.label}</th>
+    ))}
+  </>
+);
+
+const BoxScoreCells: React.FC<{ s: PlayerStats; columns: BoxColumn[]; per?: number }> = ({ s, columns, per = 1 }) => (
+  <>
+    {columns.map((c) => (
+      <td key={c.label} className={cls("px-3 py-2 text-right tabular-nums", c.strong && "font-semibold")}>{c.value(s, per)}</td>
+    ))}
+  </>
+);
+
+// ----- CSV -----
+
+export function toCSV(rows: Array<Array<string | number | undefined>>) {
+  const cell = (v: string | number | undefined) => {
+    const t = v === undefined ? "" : String(v);
+    return /[",\n\r]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+  };
+  return rows.map((r) => r.map(cell).join(",")).join("\r\n");
+}
+
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF or LF. Tab-separated text
+// (pasted from a spreadsheet) is detected from the first line.
+export function parseCSV(text: string): string[][] {
+  const firstLine = text.split(/\r?\n/, 1)[0] ?? "";
+  const sep = firstLine.includes("\t") && !firstLine.includes(",") ? "\t" : ",";
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === sep) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((x) => x.trim()));
+}
+
+function boxScoreCSV(players: Player[], statsById: Record<string, PlayerStats>, columns: BoxColumn[]) {
+  return toCSV([
+    ["Player", "Jersey", ...columns.map((c) => c.label)],
+    ...players.map((p) => {
+      const s = statsById[p.id] ?? emptyStats();
+      return [p.name, p.jersey, ...columns.map((c) => c.value(s, 1))];
+    }),
+  ]);
+}
+
+function eventLogCSV(games: Game[], players: Player[], plays: Play[]) {
+  const byId: Record<string, Player> = {};
+  for (const p of players) byId[p.id] = p;
+  const rows: Array<Array<string | number | undefined>> = [
+    ["Date", "Opponent", "Time", "Period", "Clock", "Type", "Player", "Jersey", "Receiver", "Yards", "Penalty", "Down", "Spot", "Play", "Note"],
+  ];
+  for (const g of games) {
+    for (const e of [...g.events].sort((a, b) => a.ts - b.ts)) {
+      const p = byId[e.playerId];
+      rows.push([
+        g.dateISO,
+        g.opponent,
+        new Date(e.ts).toISOString(),
+        e.period ? fmtPeriod(e.period) : "",
+        e.clock !== undefined ? fmtClock(e.clock) : "",
+        e.type,
+        isOppEvent(e.type) ? g.opponent : p?.name,
+        p?.jersey,
+        e.receiverId ? byId[e.receiverId]?.name : undefined,
+        e.yards,
+        e.penalty,
+        e.sit?.down,
+        e.sit?.spot,
+        e.playId ? plays.find((x) => x.id === e.playId)?.name : undefined,
+        e.note,
+      ]);
+    }
+  }
+  return toCSV(rows);
+}
+
+// Roster rows are name, jersey, position. A header row naming those columns
+// (in any order) is used when present.
+export function parseRosterCSV(text: string): Array<Pick<Player, "name" | "jersey" | "position">> {
+  const rows = parseCSV(text);
+  if (rows.length === 0) return [];
+  const head = rows[0].map((h) => h.trim().toLowerCase());
+  const hasHeader = head.includes("name");
+  const col = (name: string, fallback: number) => (hasHeader ? head.indexOf(name) : fallback);
+  const [ni, ji, pi] = [col("name", 0), col("jersey", 1), col("position", 2)];
+  return (hasHeader ? rows.slice(1) : rows)
+    .map((r) => ({
+      name: (r[ni] ?? "").trim(),
+      jersey: ji >= 0 ? (r[ji] ?? "").trim() || undefined : undefined,
+      position: pi >= 0 ? (r[pi] ?? "").trim() || undefined : undefined,
+    }))
+    .filter((r) => r.name);
+}
+
+// Adds roster rows to a season, reusing a player with the same name and jersey.
+function addRosterRows(s: Store, seasonId: Id, rows: Array<Pick<Player, "name" | "jersey" | "position">>) {
+  const season = s.seasons.find((x) => x.id === seasonId);
+  if (!season) return { store: s, added: 0, skipped: 0 };
+  let added = 0;
+  let skipped = 0;
+  const players = [...s.players];
+  const roster = [...season.playerIds];
+  for (const r of rows) {
+    const existing = players.find((p) => norm(p.name) === norm(r.name) && norm(p.jersey) === norm(r.jersey));
+    if (existing && roster.includes(existing.id)) {
+      skipped += 1;
+      continue;
+    }
+    const player = existing ?? { id: uid("p"), ...r };
+    if (!existing) players.push(player);
+    roster.push(player.id);
+    added += 1;
+  }
+  const store = { ...s, players, seasons: s.seasons.map((x) => (x.id === seasonId ? { ...x, playerIds: roster } : x)) };
+  return { store, added, skipped };
+}
+
+function downloadFile(name: string, content: string, type: string) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function slug(x: string) {
+  return x.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "game";
+}
+
+// ----- Print report -----
+// Plain print styles so the report prints (or saves to PDF) cleanly from the
+// browser with no network. Anything marked .no-print is hidden on paper.
+const PRINT_CSS = `
+@media print {
+  @page { margin: 12mm; }
+  body { background: #fff; }
+  .no-print { display: none !important; }
+  .report { font-size: 11px; }
+  .report table { width: 100%; border-collapse: collapse; }
+  .report th, .report td { border: 1px solid #d4d4d4; padding: 2px 4px; }
+  .report tr { break-inside: avoid; }
+  .report h2 { break-after: avoid; }
+}
+`;
+
+// ----- Event editor -----
+// Inline form used by the event log both to edit an event and to insert a
+// missed play at a given point.
+
+type EventDraft = { type: EventType; playerId: Id; receiverId: Id; yards: string; penalty: string; note: string; playId: Id };
+
+function draftFromEvent(e: StatEvent): EventDraft {
+  return {
+    type: e.type,
+    playerId: e.playerId,
+    receiverId: e.receiverId ?? "",
+    yards: e.yards?.toString() ?? "",
+    penalty: e.penalty ?? "",
+    note: e.note ?? "",
+    playId: e.playId ?? "",
+  };
+}
+
+function draftToFields(d: EventDraft): Pick<StatEvent, "type" | "playerId" | "receiverId" | "yards" | "penalty" | "note" | "playId"> {
+  return {
+    type: d.type,
+    playerId: isOppEvent(d.type) ? "" : d.playerId,
+    receiverId: eventDef(d.type).receiver && d.receiverId ? d.receiverId : undefined,
+    yards: eventDef(d.type).yards && d.yards.trim() !== "" ? Number(d.yards) || 0 : undefined,
+    penalty: eventDef(d.type).penalty ? d.penalty.trim() || undefined : undefined,
+    note: d.note.trim() || undefined,
+    playId: isOppEvent(d.type) ? undefined : d.playId || undefined,
+  };
+}
+
+const EventEditor: React.FC<{
+  draft: EventDraft;
+  players: Player[];
+  plays: Play[];
+  onChange: (d: EventDraft) => void;
+  onSave: () => void;
+  onCancel: () => void;
+}> = ({ draft, players, plays, onChange, onSave, onCancel }) => {
+  const def = eventDef(draft.type);
+  const opp = def.side === "them";
+  return (
+    <div className="grid grid-cols-1 gap-2 rounded-xl border border-neutral-300 bg-neutral-50 p-3 sm:grid-cols-6">
+      <div className="sm:col-span-2">
+        <div className="mb-1 text-xs font-medium text-neutral-600">Type</div>
+        <Select value={draft.type} onChange={(e) => onChange({ ...draft, type: e.target.value as EventType })}>
+          {EVENT_TYPES.map((t) => (
+            <option key={t} value={t}>
+              {isOppEvent(t) ? `Opp: ${eventLabel(t)}` : eventLabel(t)}
+            </option>
+          ))}
+        </Select>
+      </div>
+      {opp ? null : (
+        <div>
+          <div className="mb-1 text-xs font-medium text-neutral-600">Player</div>
+          <Select value={draft.playerId} onChange={(e) => onChange({ ...draft, playerId: e.target.value })}>
+            <option value="">—</option>
+            {players.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}{p.jersey ? ` (${p.jersey})` : ""}
+              </option>
+            ))}
+          </Select>
+        </div>
+      )}
+      {def.receiver ? (
+        <div>
+          <div className="mb-1 text-xs font-medium text-neutral-600">Receiver</div>
+          <Select value={draft.receiverId} onChange={(e) => onChange({ ...draft, receiverId: e.target.value })}>
+            <option value="">—</option>
+            {players.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}{p.jersey ? ` (${p.jersey})` : ""}
+              </option>
+            ))}
+          </Select>
+        </div>
+      ) : null}
+      {def.penalty ? (
+        <div>
+          <div className="mb-1 text-xs font-medium text-neutral-600">Penalty</div>
+          <Select value={draft.penalty} onChange={(e) => onChange({ ...draft, penalty: e.target.value })}>
+            <option value="">—</option>
+            {[...new Set([...PENALTY_TYPES, draft.penalty].filter(Boolean))].map((t) => (
+              <option key={t} value={t}>{t}</option>
+            ))}
+          </Select>
+        </div>
+      ) : null}
+      {def.yards ? (
+        <div>
+          <div className="mb-1 text-xs font-medium text-neutral-600">Yards</div>
+          <Input type="number" inputMode="numeric" value={draft.yards} onChange={(e) => onChange({ ...draft, yards: e.target.value })} />
+        </div>
+      ) : null}
+      {plays.length && !isOppEvent(draft.type) ? (
+        <div>
+          <div className="mb-1 text-xs font-medium text-neutral-600">Play call</div>
+          <Select value={draft.playId} onChange={(e) => onChange({ ...draft, playId: e.target.value })}>
+            <option value="">—</option>
+            {plays.map((x) => (
+              <option key={x.id} value={x.id}>{x.name}</option>
+            ))}
+          </Select>
+        </div>
+      ) : null}
+      <div className="sm:col-span-2">
+        <div className="mb-1 text-xs font-medium text-neutral-600">Note</div>
+        <Input value={draft.note} onChange={(e) => onChange({ ...draft, note: e.target.value })} />
+      </div>
+      <div className="flex items-end gap-2 sm:col-span-6">
+        <Btn onClick={onSave} disabled={!opp && !draft.playerId}>Save</Btn>
+        <Btn variant="ghost" onClick={onCancel}>Cancel</Btn>
+      </div>
+    </div>
+  );
+};
+
+const LintList: React.FC<{ warnings: LintWarning[]; onFix: (w: LintWarning) => void }> = ({ warnings, onFix }) => (
+  <div className="space-y-1">
+    {warnings.map((w) => (
+      <div key={w.key} className="flex flex-wrap items-center justify-between gap-2 rounded-xl border border-amber-300 bg-amber-50 px-3 py-2 text-sm text-amber-900">
+        <span>⚠ {w.message}</span>
+        {w.fix ? (
+          <Btn variant="ghost" className="bg-white" onClick={() => onFix(w)}>
+            {w.fix.label}
+          </Btn>
+        ) : null}
+      </div>
+    ))}
+  </div>
+);
+
+// ----- Share -----
+// A single game travels in the URL hash: the game, the players it references
+// and its rule set, as deflated JSON in base64url ("#share=…"). Play-by-play
+// situations, play calls and the live clock are left out to keep links and QR
+// codes short (and the playbook private).
+
+const SHARE_PREFIX = "#share=";
+
+type SharePayload = { v: 1; team: string; game: Game; players: Player[]; rules: RuleSetDef };
+
+function toBase64Url(bytes: Uint8Array) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text: string) {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+export async function packShare(game: Game, players: Player[], rules: RuleSetDef, team: string) {
+  const ids = new Set(game.events.flatMap((e) => [e.playerId, e.receiverId]));
+  const { pbp, clock, ...rest } = game;
+  const payload: SharePayload = {
+    v: 1,
+    team,
+    game: { ...rest, events: game.events.map(({ sit, playId, ...e }) => e) },
+    players: players.filter((p) => ids.has(p.id)),
+    rules,
+  };
+  const stream = new Blob([JSON.stringify(payload)]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  return toBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+// The shared game as a one-game store, validated like any import.
+export async function unpackShare(code: string): Promise<{ store?: Store; team: string; issues: ValidationIssue[] }> {
+  const stream = new Blob([fromBase64Url(code)]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  const payload = JSON.parse(await new Response(stream).text());
+  if (!isObj(payload) || payload.v !== 1 || !isObj(payload.game) || !Array.isArray(payload.players) || !isObj(payload.rules)) {
+    throw new Error("This link doesn't contain a shared game.");
+  }
+  const team = isStr(payload.team) ? payload.team : "Shared";
+  const raw = {
+    version: SCHEMA_VERSION,
+    players: payload.players,
+    teams: [{ id: "shared", name: team }],
+    seasons: [{ id: "shared", teamId: "shared", name: "Shared", playerIds: payload.players.map((p: Player) => p?.id) }],
+    games: [{ ...payload.game, seasonId: "shared" }],
+    ruleSets: payload.rules.builtIn ? [] : [payload.rules],
+    ui: { seasonId: "shared" },
+  };
+  return { ...validateStore(raw), team };
+}
+
+const QrCode: React.FC<{ text: string }> = ({ text }) => {
+  const qr = useMemo(() => {
+    try {
+      const q = qrcode(0, "L");
+      q.addData(text);
+      q.make();
+      return q;
+    } catch {
+      return null; // more data than a QR code holds
+    }
+  }, [text]);
+  if (!qr) return <div className="text-sm text-neutral-600">This game is too big for a QR code. Share the link instead.</div>;
+  const n = qr.getModuleCount();
+  let d = "";
+  for (let r = 0; r < n; r++) for (let c = 0; c < n; c++) if (qr.isDark(r, c)) d += `M${c} ${r}h1v1h-1z`;
+  return (
+    <svg viewBox={`-4 -4 ${n + 8} ${n + 8}`} className="h-64 w-64 rounded-xl bg-white" shapeRendering="crispEdges" role="img" aria-label="QR code for the link">
+      <path d={d} fill="#171717" />
+    </svg>
+  );
+};
+
+// Read-only box score for a game opened from a shared link.
+const SharedGame: React.FC<{ store: Store; team: string; onImport: () => void; onClose: () => void }> = ({ store, team, onImport, onClose }) => {
+  const game = store.games[0];
+  const rules = ruleSetOf(store.ruleSets, game.ruleSet);
+  const stats = computeStats(store.players, game.events, rules);
+  const columns = boxColumns([rules]);
+  const score = game.final ?? computeScore(game, rules);
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <div className="text-xs font-medium uppercase tracking-wide text-neutral-500">Shared game • read-only</div>
+          <div className="text-xl font-bold">{team} vs {game.opponent}</div>
+          <div className="text-sm text-neutral-600">
+            {fmtDate(game.dateISO)} • {rules.name} • {game.final ? `Final ${score.us}-${score.them} (${gameResult(score)})` : `${score.us}-${score.them}, not final`}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <Btn onClick={onImport}>Import into my stats</Btn>
+          <Btn variant="ghost" onClick={onClose}>Close</Btn>
+        </div>
+      </div>
+      <Card>
+        <CardBody>
+          <SectionTitle>Box score</SectionTitle>
+          <div className="mt-3 overflow-auto rounded-xl border border-neutral-200 bg-white">
+            <table className="min-w-full text-sm">
+              <thead className="bg-neutral-50 text-neutral-600">
+                <tr>
+                  <th className="px-3 py-2 text-left">Player</th>
+                  <BoxScoreHead columns={columns} />
+                </tr>
+              </thead>
+              <tbody>
+                {store.players.map((p) => (
+                  <tr key={p.id} className="border-t border-neutral-200">
+                    <td className="px-3 py-2 font-medium">{p.name}{p.jersey ? ` (${p.jersey})` : ""}</td>
+                    <BoxScoreCells columns={columns} s={stats[p.id] ?? emptyStats()} />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </CardBody>
+      </Card>
+      <Card>
+        <CardBody>
+          <SectionTitle>Scoring</SectionTitle>
+          <div className="mt-3 space-y-1 text-sm">
+            {scoringSummary(game, rules).length === 0 ? <div className="text-neutral-600">No scoring.</div> : null}
+            {scoringSummary(game, rules).map(({ e, score: sc }) => (
+              <div key={e.id} className="flex justify-between gap-2">
+                <span>
+                  {isOppEvent(e.type) ? game.opponent : store.players.find((p) => p.id === e.playerId)?.name ?? "Unknown"}:{" "}
+                  {eventLabel(e.type, store.players.find((p) => p.id === e.receiverId), e.penalty)}
+                  {e.period ? <span className="text-neutral-500"> • {fmtGameTime(e, rules)}</span> : null}
+                </span>
+                <span className="tabular-nums">{sc.us}-{sc.them}</span>
+              </div>
+            ))}
+          </div>
+        </CardBody>
+      </Card>
+    </div>
+  );
+};
+
+// ----- Undo / redo -----
+// Every setStore call becomes a history entry (changes to `ui` alone don't, and
+// neither do changes pulled in by sync). An entry keeps only the records the
+// change touched, before and after, so the stacks stay small; they live in
+// sessionStorage so they survive a reload of this tab.
+
+const HISTORY_KEY = "flag_5v5_stat_tracker_history";
+const HISTORY_LIMIT = 50;
+
+// Records to put back (no value = delete), plus the list order when it changed.
+type HistoryPatch = { records: Array<{ key: string; value?: unknown }>; order?: StoreMeta["order"] };
+
+// `version` is the schema the records were saved under.
+type HistoryEntry = { id: string; version: number; undo: HistoryPatch; redo: HistoryPatch };
+
+type History = { past: HistoryEntry[]; present: Store; future: HistoryEntry[] };
+
+// Undefined when the change touched no record and no order.
+export function historyEntry(id: string, prev: Store, next: Store): HistoryEntry | undefined {
+  const before = syncRecords(prev);
+  const changed = diffRecords(prev, next);
+  const a = storeMeta(prev).order;
+  const b = storeMeta(next).order;
+  const reordered = JSON.stringify(a) !== JSON.stringify(b);
+  if (!changed.length && !reordered) return undefined;
+  return {
+    id,
+    version: SCHEMA_VERSION,
+    undo: { records: changed.map(({ key }) => ({ key, value: before.get(key) })), order: reordered ? a : undefined },
+    redo: { records: changed, order: reordered ? b : undefined },
+  };
+}
+
+// One side of an entry applied to the current data. The result goes through
+// validateStore, which migrates records saved by an older version of the app
+// and repairs anything that no longer fits; undefined when it can't be used.
+function applyPatch(s: Store, patch: HistoryPatch, version: number): Store | undefined {
+  const applied = applyOps(s, patch.records.map((r) => ({ ...r, at: 0, device: "" })));
+  return validateStore({ ...(patch.order ? withOrder(applied, patch.order) : applied), version }, "repair").store;
+}
+
+const isPatch = (x: unknown): x is HistoryPatch =>
+  isObj(x) && Array.isArray(x.records) && x.records.every((r: unknown) => isObj(r) && isStr(r.key)) && (x.order === undefined || isObj(x.order));
+
+const isEntry = (x: unknown): x is HistoryEntry =>
+  isObj(x) && isStr(x.id) && isNum(x.version) && x.version <= SCHEMA_VERSION && isPatch(x.undo) && isPatch(x.redo);
+
+// The records an entry sets, with "order" standing for the list order.
+function entryKeys(e: HistoryEntry) {
+  return new Set([...e.redo.records.map((r) => r.key), ...(e.redo.order ? ["order"] : [])]);
+}
+
+// Undoes past[i]; an entry whose patch no longer applies is dropped.
+function undoEntry(h: History, i: number): History {
+  const entry = h.past[i];
+  const past = [...h.past.slice(0, i), ...h.past.slice(i + 1)];
+  const present = applyPatch(h.present, entry.undo, entry.version);
+  if (!present) return { ...h, past };
+  return { past, present, future: [entry, ...h.future] };
+}
+
+// Undoes the latest entry, or the given one (the Undo in a toast reverts the
+// action it announced). An older entry is undone on its own only when no later
+// entry touched the same records; otherwise everything after it is undone too,
+// since its snapshots would wipe out those later edits.
+export function undoHistory(h: History, entryId?: string): History {
+  const i = entryId === undefined ? h.past.length - 1 : h.past.findIndex((e) => e.id === entryId);
+  if (i < 0) return h;
+  const keys = entryKeys(h.past[i]);
+  if (!h.past.slice(i + 1).some((e) => [...entryKeys(e)].some((k) => keys.has(k)))) return undoEntry(h, i);
+  let out = h;
+  while (out.past.length > i) out = undoEntry(out, out.past.length - 1);
+  return out;
+}
+
+function loadHistory(present: Store): History {
+  try {
+    const raw = sessionStorage.getItem(HISTORY_KEY);
+    const parsed = raw ? JSON.parse(raw) : undefined;
+    if (isObj(parsed) && Array.isArray(parsed.past) && Array.isArray(parsed.future)) {
+      return { past: parsed.past.filter(isEntry), present, future: parsed.future.filter(isEntry) };
+    }
+  } catch {
+    // ignore
+  }
+  return { past: [], present, future: [] };
+}
+
+function saveHistory(h: History) {
+  // Trim the oldest entries until it fits in the session quota.
+  for (let past = h.past; ; past = past.slice(Math.ceil(past.length / 2))) {
+    try {
+      sessionStorage.setItem(HISTORY_KEY, JSON.stringify({ past, future: h.future }));
+      return;
+    } catch {
+      if (past.length === 0) return;
+    }
+  }
+}
+
+function dataChanged(a: Store, b: Store) {
+  return a.players !== b.players || a.teams !== b.teams || a.seasons !== b.seasons || a.games !== b.games || a.ruleSets !== b.ruleSets || a.plays !== b.plays;
+}
+
+function useUndoableStore(init: () => Store) {
+  const [h, setH] = useState<History>(() => loadHistory(init()));
+  // Id of the entry the latest setStore call made (or would have made).
+  const lastEntryId = useRef("");
+
+  useEffect(() => {
+    saveHistory(h);
+  }, [h.past, h.future]);
+
+  // `undoable: false` applies a change without an entry, so undo only ever
+  // reverts this device's own edits.
+  const setStore = useCallback((update: Store | ((s: Store) => Store), opts?: { undoable?: boolean }) => {
+    const undoable = opts?.undoable !== false;
+    const id = uid("h");
+    if (undoable) lastEntryId.current = id;
+    setH((cur) => {
+      const next = typeof update === "function" ? update(cur.present) : update;
+      if (next === cur.present) return cur;
+      const entry = undoable && dataChanged(cur.present, next) ? historyEntry(id, cur.present, next) : undefined;
+      if (!entry) return { ...cur, present: next };
+      return { past: [...cur.past, entry].slice(-HISTORY_LIMIT), present: next, future: [] };
+    });
+  }, []);
+
+  const undo = useCallback((entryId?: string) => setH((cur) => undoHistory(cur, entryId)), []);
+
+  const redo = useCallback(() => {
+    setH((cur) => {
+      if (cur.future.length === 0) return cur;
+      const [entry, ...rest] = cur.future;
+      const present = applyPatch(cur.present, entry.redo, entry.version);
+      if (!present) return { ...cur, future: rest };
+      return { past: [...cur.past, entry].slice(-HISTORY_LIMIT), present, future: rest };
+    });
+  }, []);
+
+  const lastChange = useCallback(() => lastEntryId.current, []);
+  const canUndoEntry = (id: string) => h.past.some((e) => e.id === id);
+
+  return { store: h.present, setStore, undo, redo, lastChange, canUndoEntry, canUndo: h.past.length > 0, canRedo: h.future.length > 0 };
+}
+
+// ----- Sync -----
+// Changes are tracked per record (each player, team, season, rule set, game
+// header and each event on its own) as ops stamped with (time, device). Ops
+// queue locally, go to the backend when online, and ops pulled from other
+// devices apply last-writer-wins per record: the higher stamp wins, by time and
+// then by device id, so every device ends up with the same data whatever order
+// the ops arrive in. A delete is an op without a value.
+
+const SYNC_KEY = "flag_5v5_stat_tracker_sync";
+const PUSH_BATCH = 500; // ops per POST, well under the server's body limit
+
+type Stamp = { at: number; device: string };
+
+type SyncOp = Stamp & {
+  key: string; // "player:<id>", "team:<id>", "season:<id>", "ruleSet:<id>", "game:<id>", "event:<gameId>:<eventId>"
+  value?: unknown; // the record (a game without its events); absent for a delete
+};
+
+// Anything that can store and replay ops. `pull` returns ops after `cursor`,
+// in the order the backend received them, and the new cursor; `more` means
+// there's another page to pull from there.
+type SyncBackend = {
+  push: (ops: SyncOp[]) => Promise<void>;
+  pull: (cursor: number) => Promise<{ ops: SyncOp[]; cursor: number; more?: boolean }>;
+};
+
+type SyncState = {
+  endpoint: string; // empty until a server is set up; changes are only tracked after that
+  token: string;
+  paused: boolean;
+  device: string;
+  cursor: number;
+  clock: number; // highest stamp time seen, so new local stamps beat everything already synced
+  queue: SyncOp[];
+  deferred: SyncOp[]; // pulled events whose game hasn't arrived yet; not stamped until applied
+  stamps: Record<string, Stamp>;
+  lastSync?: number;
+  error?: string;
+};
+
+// The protocol of server/sync-server.mjs: GET /ops?since=N and POST /ops.
+function httpBackend(endpoint: string, token: string): SyncBackend {
+  const base = endpoint.replace(/\/+$/, "");
+  const headers: Record<string, string> = { "Content-Type": "application/json" };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const call = async (path: string, init?: RequestInit) => {
+    const res = await fetch(`${base}${path}`, { ...init, headers });
+    if (!res.ok) throw new Error(`Sync server answered ${res.status} ${res.statusText}`.trim());
+    return res.json();
+  };
+  return {
+    push: async (ops) => {
+      await call("/ops", { method: "POST", body: JSON.stringify({ ops }) });
+    },
+    pull: async (cursor) => {
+      const body = await call(`/ops?since=${cursor}`);
+      if (!isObj(body) || !Array.isArray(body.ops) || !isNum(body.cursor)) throw new Error("Unexpected response from the sync server");
+      return { ops: body.ops.filter((op: unknown) => isObj(op) && isStr(op.key) && isNum(op.at) && isStr(op.device)), cursor: body.cursor, more: body.more === true };
+    },
+  };
+}
+
+function syncRecords(s: Store) {
+  const out = new Map<string, unknown>();
+  for (const p of s.players) out.set(`player:${p.id}`, p);
+  for (const t of s.teams) out.set(`team:${t.id}`, t);
+  for (const x of s.seasons) out.set(`season:${x.id}`, x);
+  for (const r of s.ruleSets) out.set(`ruleSet:${r.id}`, r);
+  for (const x of s.plays) out.set(`play:${x.id}`, x);
+  for (const g of s.games) {
+    const { events, ...head } = g;
+    out.set(`game:${g.id}`, head);
+    for (const e of events) out.set(`event:${g.id}:${e.id}`, e);
+  }
+  return out;
+}
+
+// Records that differ between two stores; `value` is undefined for deletes.
+function diffRecords(prev: Store, next: Store): Array<{ key: string; value?: unknown }> {
+  if (!dataChanged(prev, next)) return [];
+  const a = syncRecords(prev);
+  const b = syncRecords(next);
+  const out: Array<{ key: string; value?: unknown }> = [];
+  for (const [key, value] of b) {
+    const old = a.get(key);
+    if (old !== value && JSON.stringify(old) !== JSON.stringify(value)) out.push({ key, value });
+  }
+  for (const key of a.keys()) if (!b.has(key)) out.push({ key });
+  return out;
+}
+
+const stampWins = (a: Stamp, b?: Stamp) => !b || a.at > b.at || (a.at === b.at && a.device > b.device);
+
+// The ops that beat the stamps already recorded for their records, oldest
+// first (so a game lands before its events). Decided from stamps alone.
+export function winningOps(ops: SyncOp[], stamps: Record<string, Stamp>) {
+  const next = { ...stamps };
+  const winners: SyncOp[] = [];
+  for (const op of [...ops].sort((a, b) => a.at - b.at || a.device.localeCompare(b.device))) {
+    if (!stampWins(op, next[op.key])) continue;
+    next[op.key] = { at: op.at, device: op.device };
+    winners.push(op);
+  }
+  return { winners, stamps: next };
+}
+
+// Keeps the log latest-first by ts.
+function putEvent(events: StatEvent[], id: Id, value?: StatEvent) {
+  const rest = events.filter((e) => e.id !== id);
+  if (!value) return rest;
+  const i = rest.findIndex((e) => e.ts < value.ts);
+  return i < 0 ? [...rest, value] : [...rest.slice(0, i), value, ...rest.slice(i)];
+}
+
+export function applyOps(s: Store, ops: SyncOp[]): Store {
+  const put = <T extends { id: Id }>(list: T[], id: Id, value?: T) =>
+    value === undefined
+      ? list.filter((x) => x.id !== id)
+      : list.some((x) => x.id === id)
+        ? list.map((x) => (x.id === id ? value : x))
+        : [...list, value];
+  let next = s;
+  for (const op of ops) {
+    const [kind, id, ...rest] = op.key.split(":");
+    if (kind === "player") next = { ...next, players: put(next.players, id, op.value as Player | undefined) };
+    else if (kind === "team") next = { ...next, teams: put(next.teams, id, op.value as Team | undefined) };
+    else if (kind === "season") next = { ...next, seasons: put(next.seasons, id, op.value as Season | undefined) };
+    else if (kind === "ruleSet") next = { ...next, ruleSets: put(next.ruleSets, id, op.value as RuleSetDef | undefined) };
+    else if (kind === "play") next = { ...next, plays: put(next.plays, id, op.value as Play | undefined) };
+    else if (kind === "game") {
+      const events = next.games.find((g) => g.id === id)?.events ?? [];
+      next = { ...next, games: put(next.games, id, op.value === undefined ? undefined : { ...(op.value as Game), events }) };
+    } else if (kind === "event") {
+      // An event whose game is gone (deleted on some device) is dropped.
+      const eventId = rest.join(":");
+      next = { ...next, games: next.games.map((g) => (g.id === id ? { ...g, events: putEvent(g.events, eventId, op.value as StatEvent | undefined) } : g)) };
+    }
+  }
+  return next;
+}
+
+// Winning ops split into those to apply now and events to hold back: an event
+// for a game this device has never seen waits for the game instead of being
+// dropped. (A game that was seen and deleted takes its events with it.)
+export function readyOps(s: Store, winners: SyncOp[], stamps: Record<string, Stamp>) {
+  const known = new Set([...s.games.map((g) => g.id), ...winners.filter((op) => op.key.startsWith("game:")).map((op) => op.key.slice(5))]);
+  const ready: SyncOp[] = [];
+  const deferred: SyncOp[] = [];
+  for (const op of winners) {
+    const [kind, gameId] = op.key.split(":");
+    const waits = kind === "event" && op.value !== undefined && !known.has(gameId) && !stamps[`game:${gameId}`];
+    (waits ? deferred : ready).push(op);
+  }
+  return { ready, deferred };
+}
+
+// Applies pulled ops and validates what they touched: the games that got ops,
+// checked against the (small) lists they refer to. Every game is checked only
+// when a player, season, rule set or play was deleted, since any game may
+// point at it.
+function applyRemoteOps(s: Store, ops: SyncOp[]): Store {
+  const next = applyOps(s, ops);
+  const all = ops.some((op) => op.value === undefined && !/^(game|event):/.test(op.key));
+  const touched = new Set(ops.filter((op) => /^(game|event):/.test(op.key)).map((op) => op.key.split(":")[1]));
+  const check = (g: Game) => all || touched.has(g.id);
+  const { store } = validateStore({ ...next, games: next.games.filter(check) }, "repair");
+  if (!store) return s;
+  const fixed = new Map(store.games.map((g) => [g.id, g]));
+  const games = next.games.flatMap((g) => (!check(g) ? [g] : fixed.has(g.id) ? [fixed.get(g.id)!] : []));
+  return { ...store, games, ui: { ...store.ui, selectedGameId: games.some((g) => g.id === next.ui.selectedGameId) ? next.ui.selectedGameId : undefined } };
+}
+
+function loadSync(): SyncState {
+  const fresh: SyncState = { endpoint: "", token: "", paused: false, device: uid("dev"), cursor: 0, clock: 0, queue: [], deferred: [], stamps: {} };
+  try {
+    const raw = JSON.parse(localStorage.getItem(SYNC_KEY) ?? "null");
+    return isObj(raw) ? { ...fresh, ...raw } : fresh;
+  } catch {
+    return fresh;
+  }
+}
+
+function useSync(store: Store, setStore: (update: (s: Store) => Store, opts?: { undoable?: boolean }) => void, backendFor = httpBackend) {
+  const [sync, setSync] = useState<SyncState>(loadSync);
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [busy, setBusy] = useState(false);
+  const latest = useRef(sync);
+  latest.current = sync;
+  const current = useRef(store);
+  current.current = store;
+  const inFlight = useRef(false);
+  const prev = useRef(store);
+  // Values just applied from the server, so they aren't queued again as local changes.
+  const remote = useRef(new Map<string, string | undefined>());
+  const [saveError, setSaveError] = useState<string | null>(null);
+
+  // The queue and stamps cover every record, so this can hit the quota too.
+  useEffect(() => {
+    try {
+      localStorage.setItem(SYNC_KEY, JSON.stringify(sync));
+      setSaveError(null);
+    } catch (err) {
+      const full = err instanceof DOMException && err.name === "QuotaExceededError";
+      setSaveError(
+        full
+          ? "Storage is full, so sync progress isn't saved. Changes that haven't reached the server yet won't be sent if the app is closed."
+          : `Sync progress couldn't be saved (${err instanceof Error ? err.message : String(err)}).`
+      );
+    }
+  }, [sync]);
+
+  useEffect(() => {
+    const up = () => setOnline(true);
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    return () => {
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+    };
+  }, []);
+
+  // Queue an op for every record the last update changed. A newer op for the
+  // same record replaces a queued one.
+  useEffect(() => {
+    const changes = diffRecords(prev.current, store).filter(
+      ({ key, value }) => !(remote.current.has(key) && remote.current.get(key) === JSON.stringify(value))
+    );
+    prev.current = store;
+    remote.current.clear();
+    if (!changes.length) return;
+    setSync((cur) => {
+      if (!cur.endpoint) return cur;
+      let at = Math.max(Date.now(), cur.clock + 1);
+      const ops: SyncOp[] = changes.map((c) => ({ ...c, at: at++, device: cur.device }));
+      const keys = new Set(ops.map((op) => op.key));
+      const stamps = { ...cur.stamps };
+      for (const op of ops) stamps[op.key] = { at: op.at, device: op.device };
+      return { ...cur, clock: at - 1, queue: [...cur.queue.filter((op) => !keys.has(op.key)), ...ops], stamps };
+    });
+  }, [store]);
+
+  const syncNow = useCallback(async () => {
+    const cur = latest.current;
+    if (!cur.endpoint || cur.paused || inFlight.current) return;
+    if (!navigator.onLine) return;
+    inFlight.current = true;
+    setBusy(true);
+    // Batches the server has taken leave the queue even if a later one fails.
+    const pushed = new Set<SyncOp>();
+    try {
+      const backend = backendFor(cur.endpoint, cur.token);
+      for (let i = 0; i < cur.queue.length; i += PUSH_BATCH) {
+        const batch = cur.queue.slice(i, i + PUSH_BATCH);
+        await backend.push(batch);
+        for (const op of batch) pushed.add(op);
+      }
+      const pulled = { ops: [] as SyncOp[], cursor: cur.cursor };
+      for (let more = true; more; ) {
+        const page = await backend.pull(pulled.cursor);
+        pulled.ops.push(...page.ops);
+        pulled.cursor = page.cursor;
+        more = page.more === true && page.ops.length > 0;
+      }
+      // Decide and apply in one go, against the newest local stamps. Held-back
+      // events get another go alongside the new ops.
+      const { stamps: known, deferred: held } = latest.current;
+      const { winners } = winningOps([...held, ...pulled.ops], known);
+      const { ready, deferred } = readyOps(current.current, winners, known);
+      for (const op of ready) remote.current.set(op.key, JSON.stringify(op.value));
+      if (ready.length) setStore((s) => applyRemoteOps(s, ready), { undoable: false });
+      const clock = pulled.ops.reduce((m, op) => Math.max(m, op.at), 0);
+      setSync((s) => {
+        const stamps = { ...s.stamps };
+        for (const op of ready) if (stampWins(op, stamps[op.key])) stamps[op.key] = { at: op.at, device: op.device };
+        return {
+          ...s,
+          queue: s.queue.filter((op) => !pushed.has(op)),
+          deferred,
+          cursor: pulled.cursor,
+          clock: Math.max(s.clock, clock),
+          stamps,
+          lastSync: Date.now(),
+          error: undefined,
+        };
+      });
+    } catch (err) {
+      setSync((s) => ({ ...s, queue: s.queue.filter((op) => !pushed.has(op)), error: err instanceof Error ? err.message : String(err) }));
+    } finally {
+      inFlight.current = false;
+      setBusy(false);
+    }
+  }, [setStore, backendFor]);
+
+  // Sync shortly after local changes, every 30s, and when the connection comes back.
+  useEffect(() => {
+    if (!sync.endpoint || sync.paused || !online) return;
+    const soon = setTimeout(() => void syncNow(), sync.queue.length ? 1500 : 0);
+    const every = setInterval(() => void syncNow(), 30_000);
+    return () => {
+      clearTimeout(soon);
+      clearInterval(every);
+    };
+  }, [sync.endpoint, sync.paused, sync.queue.length, online, syncNow]);
+
+  // Point at a server. Connecting to a new one starts from its beginning and
+  // queues every local record; records that were never synced get the oldest
+  // possible stamp, so anything the server already has for them wins.
+  const connect = (endpoint: string, token: string) => {
+    setSync((cur) => {
+      const url = endpoint.trim();
+      if (url === cur.endpoint) return { ...cur, token, paused: false, error: undefined };
+      const ops: SyncOp[] = [...syncRecords(current.current)].map(([key, value]) => ({ key, value, ...(cur.stamps[key] ?? { at: 1, device: cur.device }) }));
+      const stamps = { ...cur.stamps };
+      for (const op of ops) stamps[op.key] = { at: op.at, device: op.device };
+      return { ...cur, endpoint: url, token, paused: false, cursor: 0, queue: ops, deferred: [], stamps, lastSync: undefined, error: undefined };
+    });
+  };
+
+  const setPaused = (paused: boolean) => setSync((cur) => ({ ...cur, paused }));
+
+  // Stop syncing and forget the server; local data stays.
+  const disconnect = () => setSync((cur) => ({ ...cur, endpoint: "", token: "", cursor: 0, queue: [], deferred: [], stamps: {}, lastSync: undefined, error: undefined }));
+
+  const status = !sync.endpoint
+    ? "Off"
+    : sync.paused
+      ? "Paused"
+      : !online
+        ? "Offline (changes are queued)"
+        : busy
+          ? "Syncing…"
+          : sync.error
+            ? "Error"
+            : sync.queue.length
+              ? `${sync.queue.length} change${sync.queue.length === 1 ? "" : "s"} waiting`
+              : "Up to date";
+
+  return { sync, status, saveError, syncNow, connect, setPaused, disconnect };
+}
+
+// ----- Routing -----
+// Screens live in the URL hash, so they can be bookmarked and linked, back and
+// forward stay inside the app, and any static host works:
+//   #/games  #/games/<id>  #/games/<id>/report  #/players/<id>
+//   #/season  #/season/report  #/roster  #/playbook  #/teams  #/rules  #/sync
+// Other hashes (share links) aren't routes and are left alone.
+
+type Tab = "roster" | "games" | "game" | "season" | "teams" | "rules" | "sync" | "player" | "report" | "playbook";
+
+type Route =
+  | { tab: Exclude<Tab, "game" | "player" | "report"> }
+  | { tab: "game"; gameId: Id }
+  | { tab: "player"; playerId: Id }
+  | { tab: "report"; gameId?: Id }; // no game: the season report
+
+const PLAIN_TABS = ["games", "season", "roster", "playbook", "teams", "rules", "sync"] as const;
+
+function parseRoute(hash: string): Route | undefined {
+  if (!hash.startsWith("#/")) return undefined;
+  const [head, id, rest] = hash
+    .slice(2)
+    .split("/")
+    .map((part) => {
+      try {
+        return decodeURIComponent(part);
+      } catch {
+        return part;
+      }
+    });
+  if (head === "games" && id) return rest === "report" ? { tab: "report", gameId: id } : { tab: "game", gameId: id };
+  if (head === "players" && id) return { tab: "player", playerId: id };
+  if (head === "season" && id === "report") return { tab: "report" };
+  return { tab: PLAIN_TABS.find((t) => t === head) ?? "games" };
+}
+
+function routeHash(r: Route) {
+  const id = encodeURIComponent;
+  if (r.tab === "game") return `#/games/${id(r.gameId)}`;
+  if (r.tab === "player") return `#/players/${id(r.playerId)}`;
+  if (r.tab === "report") return r.gameId ? `#/games/${id(r.gameId)}/report` : "#/season/report";
+  return `#/${r.tab}`;
+}
+
+// The current route and a navigate() that adds a history entry for it.
+// `fallback` picks the first screen when the URL has no route.
+function useHashRoute(fallback: () => Route) {
+  const [route, setRoute] = useState<Route>(() => parseRoute(location.hash) ?? fallback());
+
+  useEffect(() => {
+    if (!location.hash.startsWith(SHARE_PREFIX)) history.replaceState(null, "", routeHash(route));
+    const onHash = () => {
+      const r = parseRoute(location.hash);
+      if (!r) return;
+      if (routeHash(r) !== location.hash) history.replaceState(null, "", routeHash(r));
+      setRoute(r);
+    };
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, []);
+
+  const navigate = useCallback((r: Route) => {
+    const hash = routeHash(r);
+    if (hash !== location.hash) history.pushState(null, "", hash);
+    setRoute(r);
+  }, []);
+
+  return [route, navigate] as const;
+}
+
+// Loads the saved data, then hands it to the tracker.
+export default function App() {
+  const [boot, setBoot] = useState<{ store: Store; storage: StorageBackend; issues: ValidationIssue[] } | null>(null);
+
+  useEffect(() => {
+    void openStorage().then(setBoot);
+  }, []);
+
+  if (!boot) return <div className="min-h-screen bg-neutral-50 p-6 text-sm text-neutral-600">Loading your stats…</div>;
+  return <Tracker initial={boot.store} storage={boot.storage} loadIssues={boot.issues} />;
+}
+
+function Tracker({ initial, storage, loadIssues }: { initial: Store; storage: StorageBackend; loadIssues: ValidationIssue[] }) {
+  const { store, setStore, undo, redo, lastChange, canUndoEntry, canUndo, canRedo } = useUndoableStore(() => initial);
+  const { sync, status: syncStatus, saveError: syncSaveError, syncNow, connect, setPaused, disconnect } = useSync(store, setStore);
+
+  // "Undo" toast shown after destructive actions, tied to the change just made
+  const [toast, setToast] = useState<{ message: string; at: number; entryId: string } | null>(null);
+  const notify = (message: string) => setToast({ message, at: Date.now(), entryId: lastChange() });
+
+  useEffect(() => {
+    if (!toast) return;
+    const t = setTimeout(() => setToast(null), 6000);
+    return () => clearTimeout(t);
+  }, [toast]);
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes. Text fields keep their own undo.
+  useEffect(() => {
+    const onKey = (e: KeyboardEvent) => {
+      const el = e.target as HTMLElement | null;
+      if (el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.isContentEditable)) return;
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [undo, redo]);
+
+  // ----- Persistence -----
+  // Saves run one at a time; a failed save leaves `saved` behind, so the next
+  // one writes the missed changes too.
+  const saved = useRef<Store>(initial);
+  const saving = useRef(Promise.resolve());
+  const [saveError, setSaveError] = useState<string | null>(null);
+  const [quotaWarning, setQuotaWarning] = useState<string | null>(null);
+  const [repairs, setRepairs] = useState(loadIssues);
+
+  useEffect(() => {
+    saving.current = saving.current.then(async () => {
+      try {
+        await storage.save(saved.current, store);
+        saved.current = store;
+        setSaveError(null);
+      } catch (err) {
+        const full = err instanceof DOMException && err.name === "QuotaExceededError";
+        setSaveError(
+          full
+            ? "Storage is full, so your latest changes aren't saved. Export a backup, then delete old seasons or games."
+            : `Your latest changes couldn't be saved (${err instanceof Error ? err.message : String(err)}). Export a backup now.`
+        );
+      }
+    });
+  }, [store, storage]);
+
+  useEffect(() => {
+    const check = () =>
+      void storageUsage()
+        .then((u) => {
+          const share = u ? u.used / u.quota : 0;
+          setQuotaWarning(
+            share >= QUOTA_WARN ? `Storage is ${Math.round(share * 100)}% full. Export a backup and clear out old seasons before it runs out.` : null
+          );
+        })
+        .catch(() => undefined);
+    check();
+    const t = setInterval(check, 60_000);
+    return () => clearInterval(t);
+  }, []);
+
+  const [persisted, setPersisted] = useState<boolean | undefined>(undefined);
+  const keepData = (ask: boolean) => void persistStorage(ask).then(setPersisted).catch(() => undefined);
+
+  useEffect(() => keepData(true), []);
+
+  // Finish pending saves before the new version reloads the page.
+  const { updateReady, applyUpdate } = useServiceWorker();
+  const takeUpdate = () => void saving.current.then(applyUpdate);
+
+  const playersById = useMemo(() => {
+    const m: Record<string, Player> = {};
+    for (const p of store.players) m[p.id] = p;
+    return m;
+  }, [store.players]);
+
+  const activeSeason = useMemo(
+    () => store.seasons.find((x) => x.id === store.ui.seasonId) ?? store.seasons[0],
+    [store.seasons, store.ui.seasonId]
+  );
+
+  const activeTeam = useMemo(() => store.teams.find((t) => t.id === activeSeason?.teamId), [store.teams, activeSeason]);
+
+  const activePlayers = useMemo(
+    () => store.players.filter((p) => activeSeason?.playerIds.includes(p.id)),
+    [store.players, activeSeason]
+  );
+
+  const activeGames = useMemo(() => store.games.filter((g) => g.seasonId === activeSeason?.id), [store.games, activeSeason]);
+
+  // ----- Navigation -----
+  // With no route in the URL, the app reopens the last game.
+  const [route, navigate] = useHashRoute(() =>
+    store.ui.selectedGameId ? { tab: "game", gameId: store.ui.selectedGameId } : { tab: "games" }
+  );
+  const tab = route.tab;
+  const routeGameId = route.tab === "game" || route.tab === "report" ? route.gameId : undefined;
+  const reportKind = route.tab === "report" && !route.gameId ? "season" : "game";
+
+  const selectedGame = useMemo(() => store.games.find((g) => g.id === routeGameId), [store.games, routeGameId]);
+
+  useEffect(() => {
+    if (selectedGame && store.ui.selectedGameId !== selectedGame.id) {
+      setStore((s) => ({ ...s, ui: { ...s.ui, selectedGameId: selectedGame.id } }));
+    }
+  }, [selectedGame?.id]);
+
+  const ruleSets = useMemo(() => allRuleSets(store.ruleSets), [store.ruleSets]);
+  const rulesOf = useCallback((g: Game) => ruleSetOf(store.ruleSets, g.ruleSet), [store.ruleSets]);
+  const gameRules = selectedGame ? rulesOf(selectedGame) : RULESET_PRESETS[0];
+  const gameColumns = useMemo(() => boxColumns([gameRules]), [gameRules]);
+
+  // Roster of the game's own season, plus anyone who has events in it but has
+  // since left that roster.
+  const gamePlayers = useMemo(() => {
+    if (!selectedGame) return activePlayers;
+    const roster = store.seasons.find((x) => x.id === selectedGame.seasonId)?.playerIds ?? [];
+    const ids = new Set<Id>(roster);
+    for (const e of selectedGame.events) {
+      if (e.playerId) ids.add(e.playerId);
+      if (e.receiverId) ids.add(e.receiverId);
+    }
+    return store.players.filter((p) => ids.has(p.id));
+  }, [store.players, store.seasons, selectedGame, activePlayers]);
+
+  // Who can be picked when logging: archived players keep their box score lines
+  // but drop out of the Quick log and the command bar.
+  const loggerPlayers = useMemo(() => gamePlayers.filter((p) => !p.archived), [gamePlayers]);
+
+  // The playbook of the game's team; retired plays can still be set in the editor.
+  const gamePlays = useMemo(() => {
+    const teamId = store.seasons.find((x) => x.id === (selectedGame?.seasonId ?? activeSeason?.id))?.teamId;
+    return store.plays.filter((x) => x.teamId === teamId);
+  }, [store.plays, store.seasons, selectedGame?.seasonId, activeSeason]);
+  const callablePlays = useMemo(() => gamePlays.filter((x) => !x.archived), [gamePlays]);
+  const playsById = useMemo(() => Object.fromEntries(store.plays.map((x) => [x.id, x])), [store.plays]);
+
+  const openReport = (kind: "game" | "season") =>
+    navigate(kind === "game" && selectedGame ? { tab: "report", gameId: selectedGame.id } : { tab: "report" });
+
+  // ----- Roster UI -----
+  const [newPlayerName, setNewPlayerName] = useState("");
+  const [newPlayerJersey, setNewPlayerJersey] = useState("");
+  const [newPlayerPosition, setNewPlayerPosition] = useState("");
+
+  const addPlayer = () => {
+    const name = newPlayerName.trim();
+    if (!name) return;
+    const player: Player = { id: uid("p"), name, jersey: newPlayerJersey.trim() || undefined, position: newPlayerPosition.trim() || undefined };
+    setStore((s) => ({
+      ...s,
+      players: [...s.players, player],
+      seasons: s.seasons.map((x) => (x.id === activeSeason?.id ? { ...x, playerIds: [...x.playerIds, player.id] } : x)),
+    }));
+    setNewPlayerName("");
+    setNewPlayerJersey("");
+    setNewPlayerPosition("");
+  };
+
+  // Roster membership only; the player's stats stay with their games.
+  const setOnRoster = (id: Id, on: boolean) => {
+    setStore((s) => ({
+      ...s,
+      seasons: s.seasons.map((x) =>
+        x.id === activeSeason?.id
+          ? { ...x, playerIds: on ? [...x.playerIds.filter((pid) => pid !== id), id] : x.playerIds.filter((pid) => pid !== id) }
+          : x
+      ),
+    }));
+  };
+
+  // Only players with no events can be deleted; anyone with history is archived
+  // instead, so past box scores and final scores never change.
+  const deletePlayer = (id: Id) => {
+    if (hasHistory(store.games, id)) return;
+    setStore((s) => ({
+      ...s,
+      players: s.players.filter((p) => p.id !== id),
+      seasons: s.seasons.map((x) => ({ ...x, playerIds: x.playerIds.filter((pid) => pid !== id) })),
+    }));
+    notify("Player deleted");
+  };
+
+  const updatePlayer = (id: Id, patch: Partial<Player>) =>
+    setStore((s) => ({ ...s, players: s.players.map((p) => (p.id === id ? { ...p, ...patch } : p)) }));
+
+  const setArchived = (id: Id, archived: boolean) => {
+    updatePlayer(id, { archived: archived || undefined });
+    if (archived) notify(`${playersById[id]?.name ?? "Player"} archived`);
+  };
+
+  const [playerDraft, setPlayerDraft] = useState<{ id: Id; name: string; jersey: string; position: string } | null>(null);
+
+  const savePlayerDraft = () => {
+    if (!playerDraft || !playerDraft.name.trim()) return;
+    updatePlayer(playerDraft.id, {
+      name: playerDraft.name.trim(),
+      jersey: playerDraft.jersey.trim() || undefined,
+      position: playerDraft.position.trim() || undefined,
+    });
+    setPlayerDraft(null);
+  };
+
+  const [mergeKeepId, setMergeKeepId] = useState<Id>("");
+  const [mergeDupId, setMergeDupId] = useState<Id>("");
+
+  const mergeBlocked = mergeKeepId && mergeDupId ? passesBetween(store.games, mergeKeepId, mergeDupId) : 0;
+
+  const mergeDuplicate = () => {
+    if (!mergeKeepId || !mergeDupId || mergeKeepId === mergeDupId || mergeBlocked) return;
+    const dup = playersById[mergeDupId];
+    setStore((s) => mergePlayers(s, mergeKeepId, mergeDupId));
+    setMergeDupId("");
+    notify(`Merged ${dup?.name ?? "player"} into ${playersById[mergeKeepId]?.name ?? "player"}`);
+  };
+
+  // ----- Games UI -----
+  const [opponent, setOpponent] = useState("");
+  const [dateISO, setDateISO] = useState(() => new Date().toISOString().slice(0, 10));
+  const [ruleSet, setRuleSet] = useState<RuleSet>(DEFAULT_RULESET);
+
+  const addGame = () => {
+    const opp = opponent.trim();
+    if (!opp) return;
+    if (!activeSeason) return;
+    const game: Game = { id: uid("g"), seasonId: activeSeason.id, opponent: opp, dateISO, ruleSet, events: [] };
+    setStore((s) => ({
+      ...s,
+      games: [game, ...s.games],
+      ui: { ...s.ui, selectedGameId: game.id },
+    }));
+    setOpponent("");
+    navigate({ tab: "game", gameId: game.id });
+  };
+
+  const openGame = (id: Id) => navigate({ tab: "game", gameId: id });
+
+  const deleteGame = (id: Id) => {
+    setStore((s) => ({
+      ...s,
+      games: s.games.filter((g) => g.id !== id),
+      ui: { ...s.ui, selectedGameId: s.ui.selectedGameId === id ? undefined : s.ui.selectedGameId },
+    }));
+    navigate({ tab: "games" });
+    notify("Game deleted");
+  };
+
+  // ----- Sync settings -----
+  const [syncEndpoint, setSyncEndpoint] = useState(sync.endpoint);
+  const [syncToken, setSyncToken] = useState(sync.token);
+
+  // ----- Rule sets -----
+  // Presets are read-only; "Duplicate" copies one (or a custom set) into the
+  // editor as a new user-defined rule set.
+  const [ruleDraft, setRuleDraft] = useState<RuleSetDef | null>(null);
+  const [ruleNotes, setRuleNotes] = useState("");
+
+  const editRuleSet = (r: RuleSetDef, copy: boolean) => {
+    setRuleDraft(copy ? { ...r, id: uid("r"), name: `${r.name} (copy)`, builtIn: undefined } : r);
+    setRuleNotes(r.notes.join("\n"));
+  };
+
+  const patchRuleDraft = (patch: Partial<RuleSetDef>) => setRuleDraft((d) => (d ? { ...d, ...patch } : d));
+
+  const saveRuleSet = () => {
+    if (!ruleDraft || !ruleDraft.name.trim()) return;
+    const next: RuleSetDef = {
+      ...ruleDraft,
+      name: ruleDraft.name.trim(),
+      pats: [...ruleDraft.pats].sort((a, b) => a.points - b.points),
+      notes: ruleNotes.split("\n").map((n) => n.trim()).filter(Boolean),
+    };
+    setStore((s) => ({
+      ...s,
+      ruleSets: s.ruleSets.some((r) => r.id === next.id) ? s.ruleSets.map((r) => (r.id === next.id ? next : r)) : [...s.ruleSets, next],
+    }));
+    setRuleDraft(null);
+  };
+
+  const deleteRuleSet = (id: RuleSet) => {
+    if (store.games.some((g) => g.ruleSet === id)) return;
+    setStore((s) => ({ ...s, ruleSets: s.ruleSets.filter((r) => r.id !== id) }));
+    if (ruleSet === id) setRuleSet(DEFAULT_RULESET);
+    if (ruleDraft?.id === id) setRuleDraft(null);
+    notify("Rule set deleted");
+  };
+
+  // ----- Teams & seasons -----
+  const [newTeamName, setNewTeamName] = useState("");
+  const [newTeamSeasonName, setNewTeamSeasonName] = useState("");
+  const [newSeasonName, setNewSeasonName] = useState("");
+  const [carryOverRoster, setCarryOverRoster] = useState(true);
+
+  const switchSeason = (seasonId: Id) => {
+    setStore((s) => ({ ...s, ui: { ...s.ui, seasonId, selectedGameId: undefined } }));
+    navigate({ tab: "games" });
+  };
+
+  const addTeam = () => {
+    const name = newTeamName.trim();
     if (!name) return;
+    const team: Team = { id: uid("t"), name };
+    const season: Season = { id: uid("s"), teamId: team.id, name: newTeamSeasonName.trim() || String(new Date().getFullYear()), playerIds: [] };
+    setStore((s) => ({
+      ...s,
+      teams: [...s.teams, team],
+      seasons: [...s.seasons, season],
+      ui: { ...s.ui, seasonId: season.id, selectedGameId: undefined },
+    }));
+    setNewTeamName("");
+    setNewTeamSeasonName("");
+  };
+
+  const addSeason = () => {
+    const name = newSeasonName.trim();
+    if (!name || !activeSeason) return;
+    const season: Season = {
+      id: uid("s"),
+      teamId: activeSeason.teamId,
+      name,
+      playerIds: carryOverRoster ? [...activeSeason.playerIds] : [],
+    };
+    setStore((s) => ({
+      ...s,
+      seasons: [...s.seasons, season],
+      ui: { ...s.ui, seasonId: season.id, selectedGameId: undefined },
+    }));
+    setNewSeasonName("");
+  };
+
+  // ----- In-game quick logging -----
+  const [primaryPlayerId, setPrimaryPlayerId] = useState<Id>(loggerPlayers[0]?.id ?? "");
+  const [receiverId, setReceiverId] = useState<Id>(loggerPlayers[0]?.id ?? "");
+  const [note, setNote] = useState("");
+  const [yards, setYards] = useState("");
+  const [penaltyType, setPenaltyType] = useState(PENALTY_TYPES[0]);
+  // Tags the next logged play, then clears so a stale call isn't carried over.
+  const [playCall, setPlayCall] = useState<Id>("");
+
+  useEffect(() => {
+    if (!loggerPlayers.some((p) => p.id === primaryPlayerId)) setPrimaryPlayerId(loggerPlayers[0]?.id ?? "");
+    if (!loggerPlayers.some((p) => p.id === receiverId)) setReceiverId(loggerPlayers[0]?.id ?? "");
+  }, [loggerPlayers, primaryPlayerId, receiverId]);
+
+  useEffect(() => {
+    if (playCall && !callablePlays.some((x) => x.id === playCall)) setPlayCall("");
+  }, [callablePlays, playCall]);
+
+  const pushEvent = (type: EventType, opts?: Partial<StatEvent>) => {
+    if (!selectedGame) return;
+    if (!primaryPlayerId) return;
+    const event: StatEvent = {
+      id: uid("e"),
+      ts: Date.now(),
+      type,
+      playerId: primaryPlayerId,
+      receiverId: opts?.receiverId,
+      yards: opts?.yards ?? (eventDef(type).yards && yards.trim() !== "" ? Number(yards) || 0 : undefined),
+      penalty: eventDef(type).penalty ? penaltyType : undefined,
+      note: (opts?.note ?? note).trim() || undefined,
+      playId: playCall || undefined,
+    };
+    setStore((s) => ({
+      ...s,
+      games: s.games.map((g) => (g.id === selectedGame.id ? appendEvent(g, event, ruleSetOf(s.ruleSets, g.ruleSet)) : g)),
+    }));
+    setNote("");
+    setYards("");
+    setPlayCall("");
+  };
+
+  const pushOppEvent = (type: EventType) => {
+    if (!selectedGame) return;
+    const event: StatEvent = {
+      id: uid("e"),
+      ts: Date.now(),
+      type,
+      playerId: "",
+      yards: eventDef(type).yards && yards.trim() !== "" ? Number(yards) || 0 : undefined,
+      penalty: eventDef(type).penalty ? penaltyType : undefined,
+      note: note.trim() || undefined,
+    };
+    setStore((s) => ({
+      ...s,
+      games: s.games.map((g) => (g.id === selectedGame.id ? appendEvent(g, event, ruleSetOf(s.ruleSets, g.ruleSet)) : g)),
+    }));
+    setNote("");
+    setYards("");
+  };
+
+  const logEvent = (type: EventType) => {
+    const def = eventDef(type);
+    if (def.side === "them") pushOppEvent(type);
+    else pushEvent(type, def.receiver ? { receiverId } : undefined);
+  };
+
+  // Quick log buttons: every event type with a group that the game's rules allow.
+  const loggerGroups = useMemo(
+    () =>
+      EVENT_GROUPS.map((group) => ({
+        group,
+        types: EVENT_TYPES.filter((t) => eventDef(t).group === group && eventEnabled(t, gameRules)),
+      })).filter((g) => g.types.length > 0),
+    [gameRules]
+  );
+
+  // ----- Command bar -----
+  const [commandText, setCommandText] = useState("");
+  const [suggestionIndex, setSuggestionIndex] = useState(0);
+  const command = useMemo(
+    () => parseCommand(commandText, loggerPlayers, gameRules, penaltyType, callablePlays),
+    [commandText, loggerPlayers, gameRules, penaltyType, callablePlays]
+  );
+  const suggestions = useMemo(
+    () => commandSuggestions(commandText, loggerPlayers, gameRules, callablePlays),
+    [commandText, loggerPlayers, gameRules, callablePlays]
+  );
+
+  const runCommand = () => {
+    if (!selectedGame || !command.events.length || command.errors.length) return;
+    const ts = Date.now();
+    const events: StatEvent[] = command.events.map((e, i) => ({
+      ...e,
+      playId: isOppEvent(e.type) ? undefined : e.playId ?? (playCall || undefined),
+      id: uid("e"),
+      ts: ts + i,
+    }));
+    setStore((s) => ({
+      ...s,
+      games: s.games.map((g) =>
+        g.id === selectedGame.id ? events.reduce((acc, e) => appendEvent(acc, e, ruleSetOf(s.ruleSets, g.ruleSet)), g) : g
+      ),
+    }));
+    setCommandText("");
+    if (events.some((e) => !isOppEvent(e.type))) setPlayCall("");
+  };
+
+  const acceptSuggestion = (token: string) => {
+    setCommandText((t) => t.replace(/\S*$/, `${token} `));
+    setSuggestionIndex(0);
+  };
+
+  const onCommandKey = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      runCommand();
+    } else if (e.key === "Escape") {
+      setCommandText("");
+      e.currentTarget.blur();
+    } else if (suggestions.length && e.key === "Tab") {
+      e.preventDefault();
+      acceptSuggestion(suggestions[Math.min(suggestionIndex, suggestions.length - 1)].token);
+    } else if (suggestions.length && (e.key === "ArrowDown" || e.key === "ArrowUp")) {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : suggestions.length - 1;
+      setSuggestionIndex((i) => (i + step) % suggestions.length);
+    }
+  };
+
+  // "/" jumps to the command bar from anywhere in the Game view.
+  useEffect(() => {
+    if (tab !== "game") return;
+    const onKey = (e: KeyboardEvent) => {
+      const el = e.target as HTMLElement | null;
+      if (el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT" || el.isContentEditable)) return;
+      if (e.key !== "/") return;
+      e.preventDefault();
+      document.getElementById("command-bar")?.focus();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [tab]);
+
+  // ----- Play-by-play -----
+  const updateSituation = (fn: (sit: Situation, g: Game) => Situation | undefined) => {
+    if (!selectedGame) return;
+    setStore((s) => ({
+      ...s,
+      games: s.games.map((g) => (g.id === selectedGame.id ? { ...g, pbp: fn(g.pbp ?? startDrive(ruleSetOf(s.ruleSets, g.ruleSet), "us", 1), g) } : g)),
+    }));
+  };
+
+  const startPlayByPlay = () =>
+    updateSituation((_, g) => {
+      const lastDrive = Math.max(0, ...g.events.map((e) => e.sit?.drive ?? 0));
+      return startDrive(rulesOf(g), "us", lastDrive + 1);
+    });
+
+  const stopPlayByPlay = () => updateSituation(() => undefined);
+
+  const changePossession = () => updateSituation((sit, g) => startDrive(rulesOf(g), otherSide(sit.possession), sit.drive + 1));
+
+  // ----- Game clock -----
+  // `now` ticks once a second while the clock runs, just to redraw it.
+  const [now, setNow] = useState(() => Date.now());
+  const clockRunning = !!selectedGame?.clock?.runningSince;
+  useEffect(() => {
+    if (!clockRunning) return;
+    const t = window.setInterval(() => setNow(Date.now()), 1000);
+    return () => window.clearInterval(t);
+  }, [clockRunning]);
+
+  const updateClock = (fn: (c: GameClock | undefined, g: Game) => GameClock | undefined) => {
+    if (!selectedGame) return;
+    setStore((s) => ({
+      ...s,
+      games: s.games.map((g) => (g.id === selectedGame.id ? { ...g, clock: fn(g.clock, g) } : g)),
+    }));
+  };
+
+  const startGameClock = () => updateClock((c, g) => c ?? startPeriod(1, rulesOf(g)));
+  const stopGameClock = () => updateClock(() => undefined);
+
+  const toggleClock = () =>
+    updateClock((c) => {
+      if (!c) return c;
+      const at = Date.now();
+      return c.runningSince ? { ...c, remaining: clockRemaining(c, at), runningSince: undefined } : { ...c, runningSince: at };
+    });
+
+  const nextPeriod = () => updateClock((c, g) => (c ? startPeriod(c.period + 1, rulesOf(g), c.timeouts) : c));
+
+  // Typed as m:ss while the clock is stopped, to match the scoreboard.
+  const setClockTime = (text: string) => {
+    const m = /^(\d+):([0-5]\d)$/.exec(text.trim());
+    if (!m) return;
+    const ms = (Number(m[1]) * 60 + Number(m[2])) * 1000;
+    updateClock((c) => (c && !c.runningSince ? { ...c, remaining: ms } : c));
+  };
+
+  // A timeout stops the clock.
+  const callTimeout = (side: Possession) =>
+    updateClock((c, g) => {
+      if (!c || timeoutsLeft(c, rulesOf(g), side) === 0) return c;
+      const at = Date.now();
+      const remaining = clockRemaining(c, at);
+      return { ...c, remaining, runningSince: undefined, timeouts: [...c.timeouts, { side, period: c.period, clock: remaining }] };
+    });
+
+  const drives = useMemo(() => (selectedGame ? buildDrives(selectedGame, rulesOf(selectedGame)) : []), [selectedGame, rulesOf]);
+
+  const setGameFinal = (final: boolean) => {
+    if (!selectedGame) return;
+    setStore((s) => ({
+      ...s,
+      games: s.games.map((g) => (g.id === selectedGame.id ? { ...g, final: final ? computeScore(g, ruleSetOf(s.ruleSets, g.ruleSet)) : undefined } : g)),
+    }));
+  };
+
+  const removeEvent = (eventId: Id) => {
+    if (!selectedGame) return;
+    setStore((s) => ({
+      ...s,
+      games: s.games.map((g) => (g.id === selectedGame.id ? { ...g, events: g.events.filter((e) => e.id !== eventId) } : g)),
+    }));
+    notify("Event removed");
+  };
+
+  const lint = useMemo(
+    () => (selectedGame ? lintGame(selectedGame, gameRules, gamePlayers) : []),
+    [selectedGame, gameRules, gamePlayers]
+  );
+
+  const applyLintFix = (w: LintWarning) => {
+    if (!selectedGame || !w.fix) return;
+    const fix = w.fix;
+    setStore((s) => ({ ...s, games: s.games.map((g) => (g.id === selectedGame.id ? fix.apply(g) : g)) }));
+    notify(`Fixed: ${fix.label}`);
+  };
+
+  // ----- Event editing -----
+  // `insertBefore` inserts a missed play just before that event in time.
+  const [editor, setEditor] = useState<{ eventId?: Id; insertBefore?: Id; draft: EventDraft } | null>(null);
+
+  const startEdit = (e: StatEvent) => setEditor({ eventId: e.id, draft: draftFromEvent(e) });
+
+  const startInsert = (beforeId: Id) =>
+    setEditor({ insertBefore: beforeId, draft: { type: "PASS_ATT", playerId: primaryPlayerId, receiverId: receiverId, yards: "", penalty: "", note: "", playId: "" } });
+
+  const saveEditor = () => {
+    if (!selectedGame || !editor) return;
+    const fields = draftToFields(editor.draft);
+    setStore((s) => ({
+      ...s,
+      games: s.games.map((g) => {
+        if (g.id !== selectedGame.id) return g;
+        if (editor.eventId) return { ...g, events: g.events.map((e) => (e.id === editor.eventId ? { ...e, ...fields } : e)) };
+        // Events are kept latest first, so the one logged just before the anchor is next in the list.
+        const sorted = [...g.events].sort((a, b) => b.ts - a.ts);
+        const i = sorted.findIndex((e) => e.id === editor.insertBefore);
+        if (i < 0) return g;
+        const anchor = sorted[i];
+        const earlier = sorted[i + 1];
+        const ts = earlier ? Math.floor((anchor.ts + earlier.ts) / 2) : anchor.ts - 1000;
+        return { ...g, events: [...sorted.slice(0, i + 1), { id: uid("e"), ts, ...fields }, ...sorted.slice(i + 1)] };
+      }),
+    }));
+    setEditor(null);
+  };
+
+  const clearGameEvents = () => {
+    if (!selectedGame) return;
+    setStore((s) => ({
+      ...s,
+      games: s.games.map((g) => (g.id === selectedGame.id ? { ...g, events: [] } : g)),
+    }));
+    notify("Events cleared");
+  };
+
+  const statsByPlayer = useMemo(() => {
+    if (!selectedGame) return {} as Record<string, PlayerStats>;
+    return computeStats(gamePlayers, selectedGame.events, rulesOf(selectedGame));
+  }, [gamePlayers, selectedGame?.events, selectedGame?.id, rulesOf]);
+
+  // Player stats card: the whole game or one half. Events logged without the
+  // clock on have no period and only count toward the full game.
+  const [statsSplit, setStatsSplit] = useState<"game" | "1" | "2" | "OT">("game");
+  const hasPeriods = !!selectedGame?.events.some((e) => e.period);
+  const splitStats = useMemo(() => {
+    if (!selectedGame || statsSplit === "game") return statsByPlayer;
+    const inSplit = (e: StatEvent) => (statsSplit === "OT" ? (e.period ?? 0) > 2 : e.period === Number(statsSplit));
+    return computeStats(gamePlayers, selectedGame.events.filter(inSplit), rulesOf(selectedGame));
+  }, [statsByPlayer, statsSplit, gamePlayers, selectedGame, rulesOf]);
+
+  const liveScore = useMemo(() => (selectedGame ? computeScore(selectedGame, rulesOf(selectedGame)) : { us: 0, them: 0 }), [selectedGame, rulesOf]);
+
+  const record = useMemo(() => {
+    const r = { W: 0, L: 0, T: 0 };
+    for (const g of activeGames) if (g.final) r[gameResult(g.final)] += 1;
+    return r;
+  }, [activeGames]);
+
+  // ----- Season view -----
+  // "season" covers the current team season; "career" covers every game in the store.
+  const [statsScope, setStatsScope] = useState<"season" | "career">("season");
+  const [seasonFrom, setSeasonFrom] = useState("");
+  const [seasonTo, setSeasonTo] = useState("");
+  const [seasonRuleSet, setSeasonRuleSet] = useState<RuleSet | "ALL">("ALL");
+  const [seasonPerGame, setSeasonPerGame] = useState(false);
+  const [seasonPlayerId, setSeasonPlayerId] = useState<Id | undefined>(undefined);
+
+  const seasonGames = useMemo(
+    () =>
+      (statsScope === "career" ? store.games : activeGames)
+        .filter((g) => (!seasonFrom || g.dateISO >= seasonFrom) && (!seasonTo || g.dateISO <= seasonTo))
+        .filter((g) => seasonRuleSet === "ALL" || g.ruleSet === seasonRuleSet)
+        .sort((a, b) => a.dateISO.localeCompare(b.dateISO)),
+    [store.games, activeGames, statsScope, seasonFrom, seasonTo, seasonRuleSet]
+  );
+
+  const statsPlayers = statsScope === "career" ? store.players : activePlayers;
+
+  const seasonStats = useMemo(() => computeSeasonStats(statsPlayers, seasonGames, rulesOf), [statsPlayers, seasonGames, rulesOf]);
+  const seasonColumns = useMemo(
+    () => boxColumns(seasonGames.length ? [...new Set(seasonGames.map(rulesOf))] : [RULESET_PRESETS[0]]),
+    [seasonGames, rulesOf]
+  );
+
+  const seasonGameLog = useMemo(
+    () => (seasonPlayerId ? playerGameLines(store.players, seasonGames, seasonPlayerId, rulesOf) : []),
+    [store.players, seasonGames, seasonPlayerId, rulesOf]
+  );
+
+  // ----- Player profile -----
+  const profilePlayerId = route.tab === "player" ? route.playerId : undefined;
+  const [trendSeasonId, setTrendSeasonId] = useState<Id | "career">("career");
+
+  const openProfile = (id: Id) => navigate({ tab: "player", playerId: id });
+
+  useEffect(() => {
+    if (profilePlayerId) setTrendSeasonId(activeSeason?.playerIds.includes(profilePlayerId) ? activeSeason.id : "career");
+  }, [profilePlayerId]);
+
+  const profile = useMemo(() => {
+    const player = profilePlayerId ? playersById[profilePlayerId] : undefined;
+    if (!player) return null;
+    const lines = playerGameLines(store.players, store.games, player.id, rulesOf);
+    const seasons = store.seasons
+      .filter((x) => x.playerIds.includes(player.id) || lines.some((l) => l.game.seasonId === x.id))
+      .map((x) => {
+        const own = lines.filter((l) => l.game.seasonId === x.id);
+        return { season: x, team: store.teams.find((t) => t.id === x.teamId), games: own.length, totals: sumLines(own) };
+      });
+    const trend = trendSeasonId === "career" ? lines : lines.filter((l) => l.game.seasonId === trendSeasonId);
+    const columns = boxColumns(lines.length ? [...new Set(lines.map((l) => rulesOf(l.game)))] : [RULESET_PRESETS[0]]);
+    return { player, lines, seasons, career: sumLines(lines), highs: careerHighs(lines), trend, columns };
+  }, [profilePlayerId, playersById, store.players, store.games, store.seasons, store.teams, rulesOf, trendSeasonId]);
+
+  // ----- Playbook -----
+  const teamPlays = useMemo(() => store.plays.filter((x) => x.teamId === activeTeam?.id), [store.plays, activeTeam]);
+  const [playDraft, setPlayDraft] = useState<PlayDraft>(emptyPlayDraft);
+  const [playScope, setPlayScope] = useState<"season" | "team">("season");
+
+  const savePlayDraft = () => {
+    const name = playDraft.name.trim();
+    if (!name || !activeTeam) return;
+    const routes = playDraft.routes.filter((r) => r.points.length);
+    const fields = { name, formation: playDraft.formation.trim() || undefined, routes: routes.length ? routes : undefined };
     setStore((s) => ({
       ...s,
-      players: [...s.players, { id: uid("p"), name, jersey: newPlayerJersey.trim() || undefined }],
+      plays: playDraft.id
+        ? s.plays.map((x) => (x.id === playDraft.id ? { ...x, ...fields } : x))
+        : [...s.plays, { id: uid("pl"), teamId: activeTeam.id, ...fields }],
     }));
-    setNewPlayerName("");
-    setNewPlayerJersey("");
+    setPlayDraft(emptyPlayDraft());
+  };
+
+  // Diagram editing: clicks extend the last route; "New route" starts another.
+  const addRoutePoint = (pt: [number, number]) =>
+    setPlayDraft((d) => {
+      const routes = d.routes.length ? d.routes : [{ points: [] }];
+      const last = routes[routes.length - 1];
+      return { ...d, routes: [...routes.slice(0, -1), { points: [...last.points, pt] }] };
+    });
+
+  const newRoute = () =>
+    setPlayDraft((d) => (d.routes.length && !d.routes[d.routes.length - 1].points.length ? d : { ...d, routes: [...d.routes, { points: [] }] }));
+
+  const undoRoutePoint = () =>
+    setPlayDraft((d) => {
+      const routes = d.routes.filter((r) => r.points.length);
+      const last = routes[routes.length - 1];
+      if (!last) return { ...d, routes: [] };
+      return { ...d, routes: last.points.length > 1 ? [...routes.slice(0, -1), { points: last.points.slice(0, -1) }] : routes.slice(0, -1) };
+    });
+
+  const setPlayArchived = (id: Id, archived: boolean) =>
+    setStore((s) => ({ ...s, plays: s.plays.map((x) => (x.id === id ? { ...x, archived: archived || undefined } : x)) }));
+
+  const deletePlay = (id: Id) => {
+    if (hasCalls(store.games, id)) return;
+    setStore((s) => ({ ...s, plays: s.plays.filter((x) => x.id !== id) }));
+    if (playDraft.id === id) setPlayDraft(emptyPlayDraft());
+    notify("Play deleted");
+  };
+
+  const playLines = useMemo(() => {
+    const seasonIds = new Set(store.seasons.filter((x) => x.teamId === activeTeam?.id).map((x) => x.id));
+    const games = playScope === "season" ? activeGames : store.games.filter((g) => seasonIds.has(g.seasonId));
+    return playReport(teamPlays, store.players, games, rulesOf)
+      .map((line) => ({ ...line, out: playOutcomes(line.team) }))
+      .sort((a, b) => b.out.snaps + b.out.tries - (a.out.snaps + a.out.tries));
+  }, [teamPlays, store.players, store.games, store.seasons, activeTeam, activeGames, playScope, rulesOf]);
+
+  const exportJSON = () => downloadFile("flag5v5-stats.json", JSON.stringify(store, null, 2), "application/json");
+
+  const exportGameCSV = (kind: "box" | "events") => {
+    if (!selectedGame) return;
+    const base = `${selectedGame.dateISO}-${slug(selectedGame.opponent)}`;
+    const split = statsSplit === "game" ? "" : statsSplit === "OT" ? "-overtime" : `-half-${statsSplit}`;
+    if (kind === "box") downloadFile(`${base}-box-score${split}.csv`, boxScoreCSV(gamePlayers, splitStats, gameColumns), "text/csv");
+    else downloadFile(`${base}-events.csv`, eventLogCSV([selectedGame], store.players, store.plays), "text/csv");
+  };
+
+  const exportSeasonCSV = () => {
+    const rows: Array<Array<string | number | undefined>> = [["Player", "Jersey", "GP", ...seasonColumns.map((c) => c.label)]];
+    for (const p of statsPlayers) {
+      const gp = seasonStats.gamesPlayed[p.id] ?? 0;
+      const s = seasonStats.totals[p.id] ?? emptyStats();
+      rows.push([p.name, p.jersey, gp, ...seasonColumns.map((c) => c.value(s, seasonPerGame ? gp : 1))]);
+    }
+    const name = statsScope === "career" ? "career" : slug(`${activeTeam?.name ?? ""} ${activeSeason?.name ?? ""}`);
+    downloadFile(`${name}-${seasonPerGame ? "per-game" : "totals"}.csv`, toCSV(rows), "text/csv");
+  };
+
+  // ----- Roster CSV import -----
+  const [rosterCSV, setRosterCSV] = useState("");
+  const [rosterImportMsg, setRosterImportMsg] = useState("");
+
+  // Adds to the current season's roster. A name + jersey already in the player
+  // pool is reused (carried over) rather than duplicated.
+  const importRosterCSV = (text: string) => {
+    const rows = parseRosterCSV(text);
+    if (rows.length === 0) {
+      setRosterImportMsg("No players found. Expected name, jersey, position columns.");
+      return;
+    }
+    if (!activeSeason) return;
+    const seasonId = activeSeason.id;
+    const { added, skipped } = addRosterRows(store, seasonId, rows);
+    setStore((s) => addRosterRows(s, seasonId, rows).store);
+    setRosterImportMsg(`Added ${added} player(s)${skipped ? `, ${skipped} already on the roster` : ""}.`);
+    setRosterCSV("");
+  };
+
+  // Imports go through validateStore; if anything is wrong the review panel
+  // lists it and lets the user repair or skip the bad records.
+  const [importReview, setImportReview] = useState<{
+    kind: "replace" | "merge";
+    fileName: string;
+    raw: unknown;
+    issues: ValidationIssue[];
+    error?: string;
+  } | null>(null);
+
+  const [mergeReview, setMergeReview] = useState<{
+    fileName: string;
+    incoming: Store;
+    plan: MergePlan;
+    choices: Record<string, "local" | "incoming">;
+  } | null>(null);
+
+  const acceptImport = (kind: "replace" | "merge", fileName: string, next: Store) => {
+    if (kind === "replace") setStore(next);
+    else setMergeReview({ fileName, incoming: next, plan: planMerge(store, next), choices: {} });
+  };
+
+  const importJSON = async (file: File, kind: "replace" | "merge") => {
+    const text = await file.text();
+    let raw: unknown;
+    try {
+      raw = JSON.parse(text);
+    } catch (err) {
+      setImportReview({ kind, fileName: file.name, raw: undefined, issues: [], error: `Not valid JSON: ${(err as Error).message}` });
+      return;
+    }
+    const { store: next, issues } = validateStore(raw);
+    if (next && issues.length === 0) {
+      acceptImport(kind, file.name, next);
+      return;
+    }
+    setImportReview({ kind, fileName: file.name, raw, issues, error: next ? undefined : "Nothing in this file can be imported." });
+  };
+
+  const applyImport = (mode: ImportMode) => {
+    if (!importReview) return;
+    const { store: next } = validateStore(importReview.raw, mode);
+    if (next) acceptImport(importReview.kind, importReview.fileName, next);
+    setImportReview(null);
+  };
+
+  const commitMerge = () => {
+    if (!mergeReview) return;
+    // Planned again against the store as it is now, so edits made while the
+    // review was open aren't rolled back. Conflict keys are record ids, so the
+    // choices still line up.
+    const { incoming, choices } = mergeReview;
+    setStore((cur) => applyMerge(planMerge(cur, incoming), choices));
+    setMergeReview(null);
+  };
+
+  // ----- Shared links -----
+  const [shared, setShared] = useState<{ store?: Store; team: string; error?: string } | null>(null);
+  const [shareLink, setShareLink] = useState<string | null>(null);
+
+  useEffect(() => {
+    const read = () => {
+      if (!location.hash.startsWith(SHARE_PREFIX)) return setShared(null);
+      unpackShare(location.hash.slice(SHARE_PREFIX.length))
+        .then(({ store: one, team, issues }) =>
+          setShared(one ? { store: one, team } : { team, error: issues[0]?.message ?? "Nothing in this link can be shown." })
+        )
+        .catch(() => setShared({ team: "", error: "This share link is damaged or incomplete." }));
+    };
+    read();
+    window.addEventListener("hashchange", read);
+    return () => window.removeEventListener("hashchange", read);
+  }, []);
+
+  useEffect(() => setShareLink(null), [selectedGame?.id]);
+
+  const closeShared = () => {
+    history.replaceState(null, "", routeHash(route));
+    setShared(null);
+  };
+
+  // Files the shared game under the current season, through the usual merge review.
+  const importShared = () => {
+    if (!shared?.store || !activeSeason) return;
+    const one = shared.store;
+    acceptImport("merge", "Shared link", {
+      ...one,
+      teams: activeTeam ? [activeTeam] : [],
+      seasons: [{ ...activeSeason, playerIds: one.players.map((p) => p.id) }],
+      games: one.games.map((g) => ({ ...g, seasonId: activeSeason.id })),
+    });
+    closeShared();
+    navigate({ tab: "games" });
   };
 
-  const deletePlayer = (id: Id) => {
-    setStore((s) => ({
-      ...s,
-      players: s.players.filter((p) => p.id !== id),
-      games: s.games.map((g) => ({
-        ...g,
-        events: g.events.filter((e) => e.playerId !== id && e.receiverId !== id),
-      })),
-    }));
-  };
+  const shareGame = async () => {
+    if (!selectedGame) return;
+    const code = await packShare(selectedGame, store.players, gameRules, activeTeam?.name ?? "Us");
+    setShareLink(`${location.origin}${location.pathname}${SHARE_PREFIX}${code}`);
+  };
+
+  if (shared) {
+    return (
+      <div className="min-h-screen bg-neutral-50 text-neutral-900">
+        <div className="mx-auto max-w-6xl px-4 py-6">
+          {shared.store ? (
+            <SharedGame store={shared.store} team={shared.team} onImport={importShared} onClose={closeShared} />
+          ) : (
+            <Card>
+              <CardBody>
+                <SectionTitle>Shared game</SectionTitle>
+                <div className="mt-2 text-sm text-red-700">{shared.error}</div>
+                <div className="mt-3">
+                  <Btn onClick={closeShared}>Open my stats</Btn>
+                </div>
+              </CardBody>
+            </Card>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-neutral-50 text-neutral-900">
+      <div className="mx-auto max-w-6xl px-4 py-6">
+        <header className="no-print flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <div className="text-2xl font-bold tracking-tight">5v5 Flag Football Stat Tracker</div>
+            <div className="text-sm text-neutral-600">Tap-to-log offensive + defensive player stats. Offline-first.</div>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <div className="w-48">
+              <Select value={activeSeason?.id ?? ""} onChange={(e) => switchSeason(e.target.value)} title="Team and season">
+                {store.teams.map((t) => (
+                  <optgroup key={t.id} label={t.name}>
+                    {store.seasons
+                      .filter((x) => x.teamId === t.id)
+                      .map((x) => (
+                        <option key={x.id} value={x.id}>
+                          {t.name} • {x.name}
+                        </option>
+                      ))}
+                  </optgroup>
+                ))}
+              </Select>
+            </div>
+            <Btn variant={tab === "teams" ? "primary" : "ghost"} onClick={() => navigate({ tab: "teams" })}>
+              Teams
+            </Btn>
+            <Btn variant={tab === "games" ? "primary" : "ghost"} onClick={() => navigate({ tab: "games" })}>
+              Games
+            </Btn>
+            <Btn variant={tab === "season" ? "primary" : "ghost"} onClick={() => navigate({ tab: "season" })}>
+              Season
+            </Btn>
+            <Btn variant={tab === "roster" ? "primary" : "ghost"} onClick={() => navigate({ tab: "roster" })}>
+              Roster
+            </Btn>
+            <Btn variant={tab === "playbook" ? "primary" : "ghost"} onClick={() => navigate({ tab: "playbook" })}>
+              Playbook
+            </Btn>
+            <Btn variant={tab === "rules" ? "primary" : "ghost"} onClick={() => navigate({ tab: "rules" })}>
+              Rules
+            </Btn>
+            <Btn variant={tab === "sync" ? "primary" : "ghost"} onClick={() => navigate({ tab: "sync" })} title={`Sync: ${syncStatus}`}>
+              Sync{sync.endpoint && sync.queue.length ? ` • ${sync.queue.length}` : ""}
+            </Btn>
+            <Btn variant="ghost" onClick={() => undo()} disabled={!canUndo} title="Undo (Ctrl+Z)">
+              Undo
+            </Btn>
+            <Btn variant="ghost" onClick={redo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+              Redo
+            </Btn>
+            <Btn variant="ghost" onClick={exportJSON} title="Export all data as JSON">
+              Export
+            </Btn>
+            <label
+              className="rounded-xl border border-neutral-200 bg-white px-3 py-2 text-sm font-medium hover:bg-neutral-50 cursor-pointer"
+              title="Replace all data with a JSON export"
+            >
+              Import
+              <input
+                type="file"
+                accept="application/json"
+                className="hidden"
+                onChange={(e) => {
+                  const f = e.target.files?.[0];
+                  if (f) void importJSON(f, "replace");
+                  e.target.value = "";
+                }}
+              />
+            </label>
+            <label
+              className="rounded-xl border border-neutral-200 bg-white px-3 py-2 text-sm font-medium hover:bg-neutral-50 cursor-pointer"
+              title="Merge another device's JSON export into your data"
+            >
+              Merge
+              <input
+                type="file"
+                accept="application/json"
+                className="hidden"
+                onChange={(e) => {
+                  const f = e.target.files?.[0];
+                  if (f) void importJSON(f, "merge");
+                  e.target.value = "";
+                }}
+              />
+            </label>
+          </div>
+        </header>
+
+        {updateReady && (
+          <div className="no-print mt-4 flex flex-wrap items-center justify-between gap-2 rounded-xl border border-neutral-300 bg-white px-3 py-2 text-sm">
+            <span>A new version of the app is ready.</span>
+            <Btn onClick={takeUpdate}>Update now</Btn>
+          </div>
+        )}
+
+        {/* Storage warnings */}
+        {saveError || syncSaveError || quotaWarning ? (
+          <div className="no-print mt-4 space-y-1">
+            {[saveError, syncSaveError, quotaWarning].filter(Boolean).map((msg) => (
+              <div key={msg} className="flex flex-wrap items-center justify-between gap-2 rounded-xl border border-amber-300 bg-amber-50 px-3 py-2 text-sm text-amber-900">
+                <span>⚠ {msg}</span>
+                <Btn variant="ghost" className="bg-white" onClick={exportJSON}>
+                  Export backup
+                </Btn>
+              </div>
+            ))}
+          </div>
+        ) : null}
+
+        {/* Saved data repaired on start */}
+        {repairs.length > 0 && (
+          <Card className="no-print mt-4">
+            <CardBody>
+              <SectionTitle>Saved data was repaired</SectionTitle>
+              <div className="mt-1 text-sm text-neutral-600">
+                {repairs.length} problem(s) in the saved data were fixed when the app started. Export a backup if anything looks off.
+              </div>
+              <IssueList issues={repairs} done />
+              <div className="mt-3 flex flex-wrap gap-2">
+                <Btn variant="ghost" onClick={exportJSON}>Export backup</Btn>
+                <Btn variant="ghost" onClick={() => setRepairs([])}>Dismiss</Btn>
+              </div>
+            </CardBody>
+          </Card>
+        )}
+
+        {/* Import review */}
+        {importReview && (
+          <Card className="mt-6">
+            <CardBody>
+              <SectionTitle>{importReview.kind === "merge" ? "Merge" : "Import"}: {importReview.fileName}</SectionTitle>
+              {importReview.error ? <div className="mt-2 text-sm font-medium text-red-700">{importReview.error}</div> : null}
+              {importReview.issues.length > 0 ? (
+                <>
+                  <div className="mt-2 text-sm text-neutral-600">{importReview.issues.length} problem(s) found:</div>
+                  <IssueList issues={importReview.issues} />
+                </>
+              ) : null}
+              <div className="mt-3 flex flex-wrap gap-2">
+                {importReview.error ? null : (
+                  <>
+                    <Btn onClick={() => applyImport("repair")}>Repair & {importReview.kind === "merge" ? "merge" : "import"}</Btn>
+                    <Btn variant="ghost" onClick={() => applyImport("skip")}>
+                      Skip bad records & {importReview.kind === "merge" ? "merge" : "import"}
+                    </Btn>
+                  </>
+                )}
+                <Btn variant="ghost" onClick={() => setImportReview(null)}>Cancel</Btn>
+              </div>
+            </CardBody>
+          </Card>
+        )}
+
+        {/* Merge review */}
+        {mergeReview && (
+          <Card className="mt-6">
+            <CardBody>
+              <SectionTitle>Merge: {mergeReview.fileName}</SectionTitle>
+              <div className="mt-2 text-sm text-neutral-600">
+                {mergeReview.plan.summary.playersAdded} new players • {mergeReview.plan.summary.gamesAdded} new games •{" "}
+                {mergeReview.plan.summary.gamesMatched} matched games • {mergeReview.plan.summary.eventsAdded} new events •{" "}
+                {mergeReview.plan.summary.duplicates} duplicate events
+              </div>
+              {mergeReview.plan.conflicts.length === 0 ? (
+                <div className="mt-2 text-sm text-neutral-600">No conflicts. Nothing is changed until you merge.</div>
+              ) : (
+                <div className="mt-3 overflow-auto rounded-xl border border-neutral-200 bg-white">
+                  <table className="min-w-full text-sm">
+                    <thead className="bg-neutral-50 text-neutral-600">
+                      <tr>
+                        <th className="px-3 py-2 text-left">Conflict</th>
+                        <th className="px-3 py-2 text-left">Mine</th>
+                        <th className="px-3 py-2 text-left">Incoming</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {mergeReview.plan.conflicts.map((c) => {
+                        const choice = mergeReview.choices[c.key] ?? "local";
+                        const choose = (v: "local" | "incoming") =>
+                          setMergeReview((m) => (m ? { ...m, choices: { ...m.choices, [c.key]: v } } : m));
+                        return (
+                          <tr key={c.key} className="border-t border-neutral-200 align-top">
+                            <td className="px-3 py-2 text-xs font-medium">{c.label}</td>
+                            <td className="px-3 py-2 text-xs">
+                              <label className="flex gap-2">
+                                <input type="radio" checked={choice === "local"} onChange={() => choose("local")} />
+                                {c.local}
+                              </label>
+                            </td>
+                            <td className="px-3 py-2 text-xs">
+                              <label className="flex gap-2">
+                                <input type="radio" checked={choice === "incoming"} onChange={() => choose("incoming")} />
+                                {c.incoming}
+                              </label>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              <div className="mt-3 flex flex-wrap gap-2">
+                <Btn onClick={commitMerge}>Merge</Btn>
+                <Btn variant="ghost" onClick={() => setMergeReview(null)}>Cancel</Btn>
+              </div>
+            </CardBody>
+          </Card>
+        )}
+
+        {/* Games */}
+        {tab === "games" && (
+          <div className="mt-6 grid grid-cols-1 gap-4 lg:grid-cols-3">
+            <Card className="lg:col-span-1">
+              <CardBody>
+                <SectionTitle>New game</SectionTitle>
+                <div className="mt-3 space-y-2">
+                  <div>
+                    <div className="mb-1 text-xs font-medium text-neutral-600">Opponent</div>
+                    <Input value={opponent} onChange={(e) => setOpponent(e.target.value)} placeholder="e.g., Tigers" />
+                  </div>
+                  <div>
+                    <div className="mb-1 text-xs font-medium text-neutral-600">Date</div>
+                    <Input type="date" value={dateISO} onChange={(e) => setDateISO(e.target.value)} />
+                  </div>
+                  <div>
+                    <div className="mb-1 text-xs font-medium text-neutral-600">Rules</div>
+                    <Select value={ruleSet} onChange={(e) => setRuleSet(e.target.value)}>
+                      {ruleSets.map((r) => (
+                        <option key={r.id} value={r.id}>{r.name}</option>
+                      ))}
+                    </Select>
+                    <div className="mt-1 text-xs text-neutral-600">
+                      TD {ruleSetOf(store.ruleSets, ruleSet).tdPoints} • PAT: {ruleSetOf(store.ruleSets, ruleSet).pats.map(fmtPat).join(" • ") || "none"}
+                    </div>
+                  </div>
+                  <Btn onClick={addGame} disabled={!opponent.trim()}>
+                    Create game
+                  </Btn>
+                  <div className="text-xs text-neutral-600">
+                    Tip: Build your roster first so you can log plays faster.
+                  </div>
+                </div>
+              </CardBody>
+            </Card>
+
+            <Card className="lg:col-span-2">
+              <CardBody>
+                <div className="flex items-center justify-between gap-2">
+                  <SectionTitle>Games</SectionTitle>
+                  <div className="text-sm text-neutral-600">
+                    Record: <span className="font-semibold tabular-nums text-neutral-900">{record.W}-{record.L}-{record.T}</span>
+                  </div>
+                </div>
+                <div className="mt-3 space-y-2">
+                  {activeGames.length === 0 ? (
+                    <div className="text-sm text-neutral-600">No games yet this season.</div>
+                  ) : (
+                    activeGames.map((g) => (
+                      <div key={g.id} className="flex items-center justify-between gap-2 rounded-xl border border-neutral-200 bg-white p-3">
+                        <div>
+                          <div className="font-semibold">
+                            vs {g.opponent}{" "}
+                            {g.final ? (
+                              <span
+                                className={cls(
+                                  "ml-1 rounded-lg px-2 py-0.5 text-xs",
+                                  gameResult(g.final) === "W" && "bg-green-100 text-green-800",
+                                  gameResult(g.final) === "L" && "bg-red-100 text-red-800",
+                                  gameResult(g.final) === "T" && "bg-neutral-100 text-neutral-700"
+                                )}
+                              >
+                                {gameResult(g.final)} {g.final.us}-{g.final.them}
+                              </span>
+                            ) : null}
+                          </div>
+                          <div className="text-xs text-neutral-600">{fmtDate(g.dateISO)} • {rulesOf(g).name} • {g.events.length} events{g.final ? "" : " • in progress"}</div>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <Btn variant="ghost" onClick={() => openGame(g.id)}>
+                            Open
+                          </Btn>
+                          <Btn
+                            variant="danger"
+                            onClick={() => deleteGame(g.id)}
+                            title="Delete game"
+                          >
+                            Delete
+                          </Btn>
+                        </div>
+                      </div>
+                    ))
+                  )}
+                </div>
+              </CardBody>
+            </Card>
+          </div>
+        )}
+
+        {/* Roster */}
+        {tab === "roster" && (
+          <div className="mt-6 grid grid-cols-1 gap-4 lg:grid-cols-3">
+            <Card className="lg:col-span-1">
+              <CardBody>
+                <SectionTitle>Add player</SectionTitle>
+                <div className="mt-3 space-y-2">
+                  <div>
+                    <div className="mb-1 text-xs font-medium text-neutral-600">Name</div>
+                    <Input value={newPlayerName} onChange={(e) => setNewPlayerName(e.target.value)} placeholder="e.g., Brayden" />
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <div className="mb-1 text-xs font-medium text-neutral-600">Jersey (optional)</div>
+                      <Input value={newPlayerJersey} onChange={(e) => setNewPlayerJersey(e.target.value)} placeholder="#7" />
+                    </div>
+                    <div>
+                      <div className="mb-1 text-xs font-medium text-neutral-600">Position (optional)</div>
+                      <Input value={newPlayerPosition} onChange={(e) => setNewPlayerPosition(e.target.value)} placeholder="QB, WR" />
+                    </div>
+                  </div>
+                  <Btn onClick={addPlayer} disabled={!newPlayerName.trim()}>
+                    Add
+                  </Btn>
+                </div>
+
+                <div className="mt-6">
+                  <SectionTitle>Import roster (CSV)</SectionTitle>
+                  <div className="mt-1 text-xs text-neutral-600">One player per line: name, jersey, position. Paste from a spreadsheet or choose a .csv file.</div>
+                  <textarea
+                    className="mt-2 h-28 w-full rounded-xl border border-neutral-200 bg-white px-3 py-2 font-mono text-xs outline-none focus:ring-2 focus:ring-neutral-200"
+                    value={rosterCSV}
+                    onChange={(e) => setRosterCSV(e.target.value)}
+                    placeholder={"name,jersey,position\nBrayden,7,QB"}
+                  />
+                  <div className="mt-2 flex flex-wrap items-center gap-2">
+                    <Btn onClick={() => importRosterCSV(rosterCSV)} disabled={!rosterCSV.trim()}>
+                      Import
+                    </Btn>
+                    <label className="rounded-xl border border-neutral-200 bg-white px-3 py-2 text-sm font-medium hover:bg-neutral-50 cursor-pointer">
+                      Choose file
+                      <input
+                        type="file"
+                        accept=".csv,text/csv,text/plain"
+                        className="hidden"
+                        onChange={(e) => {
+                          const f = e.target.files?.[0];
+                          if (f) void f.text().then(importRosterCSV);
+                          e.target.value = "";
+                        }}
+                      />
+                    </label>
+                  </div>
+                  {rosterImportMsg ? <div className="mt-2 text-xs text-neutral-600">{rosterImportMsg}</div> : null}
+                </div>
+
+                {store.players.length > activePlayers.length ? (
+                  <div className="mt-6">
+                    <SectionTitle>Carry over</SectionTitle>
+                    <div className="mt-1 text-xs text-neutral-600">Players from other seasons. Their past stats stay with those games.</div>
+                    <div className="mt-3 space-y-2">
+                      {store.players
+                        .filter((p) => !activeSeason?.playerIds.includes(p.id))
+                        .map((p) => (
+                          <div key={p.id} className="flex items-center justify-between gap-2 text-sm">
+                            <div>{p.name}{p.jersey ? ` (${p.jersey})` : ""}</div>
+                            <Btn variant="ghost" onClick={() => setOnRoster(p.id, true)}>Add</Btn>
+                          </div>
+                        ))}
+                    </div>
+                  </div>
+                ) : null}
+              </CardBody>
+            </Card>
+
+            <Card className="lg:col-span-2">
+              <CardBody>
+                <SectionTitle>Roster: {activeTeam?.name} • {activeSeason?.name}</SectionTitle>
+                <div className="mt-3 space-y-2">
+                  {activePlayers.length === 0 ? (
+                    <div className="text-sm text-neutral-600">No players on this season's roster yet.</div>
+                  ) : null}
+                  {[...activePlayers.filter((p) => !p.archived), ...activePlayers.filter((p) => p.archived)].map((p) =>
+                    playerDraft?.id === p.id ? (
+                      <div key={p.id} className="grid grid-cols-1 gap-2 rounded-xl border border-neutral-300 bg-neutral-50 p-3 sm:grid-cols-4">
+                        <div className="sm:col-span-2">
+                          <div className="mb-1 text-xs font-medium text-neutral-600">Name</div>
+                          <Input value={playerDraft.name} onChange={(e) => setPlayerDraft({ ...playerDraft, name: e.target.value })} />
+                        </div>
+                        <div>
+                          <div className="mb-1 text-xs font-medium text-neutral-600">Jersey</div>
+                          <Input value={playerDraft.jersey} onChange={(e) => setPlayerDraft({ ...playerDraft, jersey: e.target.value })} />
+                        </div>
+                        <div>
+                          <div className="mb-1 text-xs font-medium text-neutral-600">Position</div>
+                          <Input value={playerDraft.position} onChange={(e) => setPlayerDraft({ ...playerDraft, position: e.target.value })} />
+                        </div>
+                        <div className="flex gap-2 sm:col-span-4">
+                          <Btn onClick={savePlayerDraft} disabled={!playerDraft.name.trim()}>Save</Btn>
+                          <Btn variant="ghost" onClick={() => setPlayerDraft(null)}>Cancel</Btn>
+                        </div>
+                      </div>
+                    ) : (
+                      <div
+                        key={p.id}
+                        className={cls("flex items-center justify-between gap-2 rounded-xl border border-neutral-200 p-3", p.archived ? "bg-neutral-100" : "bg-white")}
+                      >
+                        <div>
+                          <button className={cls("font-semibold hover:underline", p.archived && "text-neutral-500")} onClick={() => openProfile(p.id)}>
+                            {p.name} {p.jersey ? <span className="text-neutral-500">({p.jersey})</span> : null}
+                          </button>
+                          <div className="text-xs text-neutral-600">
+                            {p.archived ? "Archived • " : ""}
+                            {p.position ? `${p.position} • ` : ""}id: {p.id}
+                          </div>
+                        </div>
+                        <div className="flex flex-wrap items-center justify-end gap-2">
+                          <Btn
+                            variant="ghost"
+                            onClick={() => setPlayerDraft({ id: p.id, name: p.name, jersey: p.jersey ?? "", position: p.position ?? "" })}
+                          >
+                            Edit
+                          </Btn>
+                          <Btn variant="ghost" onClick={() => setOnRoster(p.id, false)} title="Remove from this season's roster (keeps their stats)">
+                            Remove
+                          </Btn>
+                          <Btn
+                            variant="ghost"
+                            onClick={() => setArchived(p.id, !p.archived)}
+                            title={p.archived ? "Show in the Quick log again" : "Hide from the Quick log; past stats stay"}
+                          >
+                            {p.archived ? "Restore" : "Archive"}
+                          </Btn>
+                          {hasHistory(store.games, p.id) ? null : (
+                            <Btn variant="danger" onClick={() => deletePlayer(p.id)} title="Delete player (only possible before they have any stats)">
+                              Delete
+                            </Btn>
+                          )}
+                        </div>
+                      </div>
+                    )
+                  )}
+                </div>
+
+                {store.players.length > 1 ? (
+                  <div className="mt-6">
+                    <SectionTitle>Merge duplicates</SectionTitle>
+                    <div className="mt-1 text-xs text-neutral-600">
+                      Moves every event and roster spot from the duplicate onto the player you keep, then removes the duplicate.
+                    </div>
+                    <div className="mt-3 grid grid-cols-1 gap-2 sm:grid-cols-3">
+                      <Select value={mergeKeepId} onChange={(e) => setMergeKeepId(e.target.value)}>
+                        <option value="">Keep…</option>
+                        {store.players.map((p) => (
+                          <option key={p.id} value={p.id}>
+                            {p.name}{p.jersey ? ` (${p.jersey})` : ""}{p.archived ? " – archived" : ""}
+                          </option>
+                        ))}
+                      </Select>
+                      <Select value={mergeDupId} onChange={(e) => setMergeDupId(e.target.value)}>
+                        <option value="">Duplicate to merge in…</option>
+                        {store.players
+                          .filter((p) => p.id !== mergeKeepId)
+                          .map((p) => (
+                            <option key={p.id} value={p.id}>
+                              {p.name}{p.jersey ? ` (${p.jersey})` : ""}{p.archived ? " – archived" : ""}
+                            </option>
+                          ))}
+                      </Select>
+                      <Btn onClick={mergeDuplicate} disabled={!mergeKeepId || !mergeDupId || mergeKeepId === mergeDupId || mergeBlocked > 0}>
+                        Merge
+                      </Btn>
+                    </div>
+                    {mergeBlocked ? (
+                      <div className="mt-2 text-xs text-red-700">
+                        These two passed to each other {mergeBlocked} time(s), so they can't be the same player.
+                      </div>
+                    ) : null}
+                  </div>
+                ) : null}
+              </CardBody>
+            </Card>
+          </div>
+        )}
 
-  // ----- Games UI -----
-  const [opponent, setOpponent] = useState("");
-  const [dateISO, setDateISO] = useState(() => new Date().toISOString().slice(0, 10));
-  const [ruleSet, setRuleSet] = useState<RuleSet>("NFL_FLAG");
+        {/* Teams */}
+        {tab === "teams" && (
+          <div className="mt-6 grid grid-cols-1 gap-4 lg:grid-cols-3">
+            <Card className="lg:col-span-1">
+              <CardBody>
+                <SectionTitle>New season</SectionTitle>
+                <div className="mt-3 space-y-2">
+                  <div>
+                    <div className="mb-1 text-xs font-medium text-neutral-600">Season name ({activeTeam?.name})</div>
+                    <Input value={newSeasonName} onChange={(e) => setNewSeasonName(e.target.value)} placeholder="e.g., Spring 2027" />
+                  </div>
+                  <label className="flex items-center gap-2 text-sm">
+                    <input type="checkbox" checked={carryOverRoster} onChange={(e) => setCarryOverRoster(e.target.checked)} />
+                    Carry over roster from {activeSeason?.name}
+                  </label>
+                  <Btn onClick={addSeason} disabled={!newSeasonName.trim()}>
+                    Start season
+                  </Btn>
+                </div>
 
-  const addGame = () => {
-    const opp = opponent.trim();
-    if (!opp) return;
-    const game: Game = { id: uid("g"), opponent: opp, dateISO, ruleSet, events: [] };
-    setStore((s) => ({
-      ...s,
-      games: [game, ...s.games],
-      ui: { ...s.ui, selectedGameId: game.id },
-    }));
-    setOpponent("");
-  };
+                <div className="mt-6">
+                  <SectionTitle>New team</SectionTitle>
+                  <div className="mt-3 space-y-2">
+                    <div>
+                      <div className="mb-1 text-xs font-medium text-neutral-600">Team name</div>
+                      <Input value={newTeamName} onChange={(e) => setNewTeamName(e.target.value)} placeholder="e.g., 10U Falcons" />
+                    </div>
+                    <div>
+                      <div className="mb-1 text-xs font-medium text-neutral-600">First season (optional)</div>
+                      <Input value={newTeamSeasonName} onChange={(e) => setNewTeamSeasonName(e.target.value)} placeholder={String(new Date().getFullYear())} />
+                    </div>
+                    <Btn onClick={addTeam} disabled={!newTeamName.trim()}>
+                      Create team
+                    </Btn>
+                  </div>
+                </div>
+              </CardBody>
+            </Card>
 
-  const openGame = (id: Id) => {
-    setStore((s) => ({ ...s, ui: { ...s.ui, selectedGameId: id } }));
-  };
+            <Card className="lg:col-span-2">
+              <CardBody>
+                <SectionTitle>Teams</SectionTitle>
+                <div className="mt-3 space-y-3">
+                  {store.teams.map((t) => (
+                    <div key={t.id} className="rounded-xl border border-neutral-200 bg-white p-3">
+                      <div className="font-semibold">{t.name}</div>
+                      <div className="mt-2 space-y-1">
+                        {store.seasons
+                          .filter((x) => x.teamId === t.id)
+                          .map((x) => (
+                            <div key={x.id} className="flex items-center justify-between gap-2 text-sm">
+                              <div>
+                                {x.name}{" "}
+                                <span className="text-xs text-neutral-600">
+                                  • {x.playerIds.length} players • {store.games.filter((g) => g.seasonId === x.id).length} games
+                                </span>
+                              </div>
+                              {x.id === activeSeason?.id ? (
+                                <span className="text-xs font-medium text-neutral-600">Current</span>
+                              ) : (
+                                <Btn variant="ghost" onClick={() => switchSeason(x.id)}>Switch</Btn>
+                              )}
+                            </div>
+                          ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </CardBody>
+            </Card>
+          </div>
+        )}
 
-  const deleteGame = (id: Id) => {
-    setStore((s) => ({
-      ...s,
-      games: s.games.filter((g) => g.id !== id),
-      ui: { ...s.ui, selectedGameId: s.ui.selectedGameId === id ? undefined : s.ui.selectedGameId },
-    }));
-    setTab("games");
-  };
+        {/* Sync */}
+        {tab === "sync" && (
+          <div className="mt-6 grid grid-cols-1 gap-4 lg:grid-cols-3">
+            <Card className="lg:col-span-2">
+              <CardBody>
+                <SectionTitle>Multi-device sync</SectionTitle>
+                <div className="mt-1 text-sm text-neutral-600">
+                  Every device pointed at the same server shares players, games and events. Changes made offline wait in a queue and go out
+                  when the connection is back. When two devices change the same record, the later change wins on every device.
+                </div>
+                <div className="mt-3 grid grid-cols-1 gap-2 sm:grid-cols-3">
+                  <div className="sm:col-span-2">
+                    <div className="mb-1 text-xs font-medium text-neutral-600">Server URL</div>
+                    <Input value={syncEndpoint} onChange={(e) => setSyncEndpoint(e.target.value)} placeholder="e.g., http://192.168.1.20:8787" />
+                  </div>
+                  <div>
+                    <div className="mb-1 text-xs font-medium text-neutral-600">Token (optional)</div>
+                    <Input type="password" value={syncToken} onChange={(e) => setSyncToken(e.target.value)} />
+                  </div>
+                </div>
+                <div className="mt-3 flex flex-wrap gap-2">
+                  <Btn onClick={() => connect(syncEndpoint, syncToken)} disabled={!syncEndpoint.trim()}>
+                    {sync.endpoint ? "Save" : "Connect"}
+                  </Btn>
+                  {sync.endpoint ? (
+                    <>
+                      <Btn variant="ghost" onClick={() => void syncNow()} disabled={sync.paused}>
+                        Sync now
+                      </Btn>
+                      <Btn variant="ghost" onClick={() => setPaused(!sync.paused)}>
+                        {sync.paused ? "Resume" : "Pause"}
+                      </Btn>
+                      <Btn
+                        variant="danger"
+                        onClick={() => {
+                          disconnect();
+                          setSyncEndpoint("");
+                          setSyncToken("");
+                        }}
+                      >
+                        Disconnect
+                      </Btn>
+                    </>
+                  ) : null}
+                </div>
+              </CardBody>
+            </Card>
 
-  // ----- In-game quick logging -----
-  const [primaryPlayerId, setPrimaryPlayerId] = useState<Id>(store.players[0]?.id ?? "");
-  const [receiverId, setReceiverId] = useState<Id>(store.players[0]?.id ?? "");
-  const [note, setNote] = useState("");
+            <Card>
+              <CardBody>
+                <SectionTitle>Status</SectionTitle>
+                <div className="mt-3 space-y-1 text-sm">
+                  <div>
+                    <span className="text-neutral-600">State:</span> <span className="font-medium">{syncStatus}</span>
+                  </div>
+                  {sync.endpoint ? (
+                    <>
+                      <div>
+                        <span className="text-neutral-600">Queued changes:</span> {sync.queue.length}
+                      </div>
+                      <div>
+                        <span className="text-neutral-600">Last sync:</span> {sync.lastSync ? new Date(sync.lastSync).toLocaleString() : "never"}
+                      </div>
+                    </>
+                  ) : null}
+                  <div className="text-xs text-neutral-500">Device id: {sync.device}</div>
+                  {sync.error ? <div className="text-sm text-red-700">{sync.error}</div> : null}
+                </div>
+              </CardBody>
+            </Card>
+          </div>
+        )}
 
-  useEffect(() => {
-    if (!primaryPlayerId && store.players[0]?.id) setPrimaryPlayerId(store.players[0].id);
-    if (!receiverId && store.players[0]?.id) setReceiverId(store.players[0].id);
-  }, [store.players, primaryPlayerId, receiverId]);
+        {/* Rules */}
+        {tab === "rules" && (
+          <div className="mt-6 grid grid-cols-1 gap-4 lg:grid-cols-3">
+            <Card className="lg:col-span-1">
+              <CardBody>
+                <SectionTitle>Rule sets</SectionTitle>
+                <div className="mt-3 space-y-2">
+                  {ruleSets.map((r) => {
+                    const used = store.games.filter((g) => g.ruleSet === r.id).length;
+                    return (
+                      <div key={r.id} className="rounded-xl border border-neutral-200 bg-white p-3">
+                        <div className="flex items-center justify-between gap-2">
+                          <div className="font-semibold">{r.name}</div>
+                          <span className="text-xs text-neutral-600">{r.builtIn ? "Preset" : "Custom"} • {used} games</span>
+                        </div>
+                        <div className="mt-1 text-xs text-neutral-600">
+                          TD {r.tdPoints} • PAT {r.pats.map((p) => `${p.points} from ${p.yards}`).join(", ") || "none"}
+                          {r.allowPatReturn ? ` • PAT return ${r.patReturnPoints}` : ""}
+                          {r.safetyPoints ? ` • Safety ${r.safetyPoints}` : ""}
+                        </div>
+                        <div className="mt-2 flex flex-wrap gap-2">
+                          {r.builtIn ? null : <Btn variant="ghost" onClick={() => editRuleSet(r, false)}>Edit</Btn>}
+                          <Btn variant="ghost" onClick={() => editRuleSet(r, true)}>Duplicate</Btn>
+                          {r.builtIn ? null : (
+                            <Btn
+                              variant="danger"
+                              onClick={() => deleteRuleSet(r.id)}
+                              disabled={used > 0}
+                              title={used ? "Games use this rule set" : undefined}
+                            >
+                              Delete
+                            </Btn>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+                <div className="mt-3 text-xs text-neutral-600">Presets can't be changed; duplicate one to make your league's rules.</div>
+              </CardBody>
+            </Card>
 
-  const pushEvent = (type: EventType, opts?: Partial<StatEvent>) => {
-    if (!selectedGame) return;
-    if (!primaryPlayerId) return;
-    const event: StatEvent = {
-      id: uid("e"),
-      ts: Date.now(),
-      type,
-      playerId: primaryPlayerId,
-      receiverId: opts?.receiverId,
-      yards: opts?.yards,
-      note: (opts?.note ?? note).trim() || undefined,
-    };
-    setStore((s) => ({
-      ...s,
-      games: s.games.map((g) => (g.id === selectedGame.id ? { ...g, events: [event, ...g.events] } : g)),
-    }));
-    setNote("");
-  };
+            <Card className="lg:col-span-2">
+              <CardBody>
+                <SectionTitle>{ruleDraft ? (store.ruleSets.some((r) => r.id === ruleDraft.id) ? "Edit rule set" : "New rule set") : "Rule set editor"}</SectionTitle>
+                {!ruleDraft ? (
+                  <div className="mt-3 text-sm text-neutral-600">Pick Duplicate on a preset (or Edit on a custom rule set) to start.</div>
+                ) : (
+                  <div className="mt-3 space-y-4">
+                    <div className="grid grid-cols-1 gap-2 sm:grid-cols-4">
+                      <div className="sm:col-span-2">
+                        <div className="mb-1 text-xs font-medium text-neutral-600">Name</div>
+                        <Input value={ruleDraft.name} onChange={(e) => patchRuleDraft({ name: e.target.value })} />
+                      </div>
+                      <div>
+                        <div className="mb-1 text-xs font-medium text-neutral-600">TD points</div>
+                        <Input type="number" min={0} value={ruleDraft.tdPoints} onChange={(e) => patchRuleDraft({ tdPoints: Math.max(0, Number(e.target.value) || 0) })} />
+                      </div>
+                      <div>
+                        <div className="mb-1 text-xs font-medium text-neutral-600">Safety points (0 = none)</div>
+                        <Input type="number" min={0} value={ruleDraft.safetyPoints} onChange={(e) => patchRuleDraft({ safetyPoints: Math.max(0, Number(e.target.value) || 0) })} />
+                      </div>
+                    </div>
 
-  const removeEvent = (eventId: Id) => {
-    if (!selectedGame) return;
-    setStore((s) => ({
-      ...s,
-      games: s.games.map((g) => (g.id === selectedGame.id ? { ...g, events: g.events.filter((e) => e.id !== eventId) } : g)),
-    }));
-  };
+                    <div>
+                      <div className="text-xs font-medium text-neutral-600">PAT options</div>
+                      <div className="mt-2 space-y-2">
+                        {ruleDraft.pats.map((p, i) => {
+                          const setPat = (patch: Partial<PatOption>) =>
+                            patchRuleDraft({ pats: ruleDraft.pats.map((x, j) => (j === i ? { ...x, ...patch } : x)) });
+                          return (
+                            <div key={i} className="grid grid-cols-4 items-center gap-2">
+                              <Select value={p.points} onChange={(e) => setPat({ points: Number(e.target.value) as PatOption["points"] })}>
+                                {PAT_POINTS.filter((n) => n === p.points || !ruleDraft.pats.some((x) => x.points === n)).map((n) => (
+                                  <option key={n} value={n}>{n} point{n === 1 ? "" : "s"}</option>
+                                ))}
+                              </Select>
+                              <Input type="number" min={0} value={p.yards} onChange={(e) => setPat({ yards: Math.max(0, Number(e.target.value) || 0) })} placeholder="Yards" />
+                              <Input value={p.note ?? ""} onChange={(e) => setPat({ note: e.target.value || undefined })} placeholder="Note (e.g., pass-only)" />
+                              <Btn variant="ghost" onClick={() => patchRuleDraft({ pats: ruleDraft.pats.filter((_, j) => j !== i) })}>Remove</Btn>
+                            </div>
+                          );
+                        })}
+                        {ruleDraft.pats.length < PAT_POINTS.length ? (
+                          <Btn
+                            variant="ghost"
+                            onClick={() => {
+                              const points = PAT_POINTS.find((n) => !ruleDraft.pats.some((x) => x.points === n))!;
+                              patchRuleDraft({ pats: [...ruleDraft.pats, { points, yards: 5 * points }] });
+                            }}
+                          >
+                            Add PAT option
+                          </Btn>
+                        ) : null}
+                      </div>
+                    </div>
 
-  const clearGameEvents = () => {
-    if (!selectedGame) return;
-    setStore((s) => ({
-      ...s,
-      games: s.games.map((g) => (g.id === selectedGame.id ? { ...g, events: [] } : g)),
-    }));
-  };
+                    <div className="grid grid-cols-1 gap-2 sm:grid-cols-4">
+                      <label className="flex items-center gap-2 text-sm sm:col-span-2">
+                        <input type="checkbox" checked={ruleDraft.allowPatReturn} onChange={(e) => patchRuleDraft({ allowPatReturn: e.target.checked })} />
+                        Defense can return a PAT
+                      </label>
+                      <div className="sm:col-span-2">
+                        <div className="mb-1 text-xs font-medium text-neutral-600">PAT return points</div>
+                        <Input
+                          type="number"
+                          min={0}
+                          value={ruleDraft.patReturnPoints}
+                          disabled={!ruleDraft.allowPatReturn}
+                          onChange={(e) => patchRuleDraft({ patReturnPoints: Math.max(0, Number(e.target.value) || 0) })}
+                        />
+                      </div>
+                    </div>
 
-  const statsByPlayer = useMemo(() => {
-    if (!selectedGame) return {} as Record<string, PlayerStats>;
-    return computeStats(store.players, selectedGame.events);
-  }, [store.players, selectedGame?.events, selectedGame?.id]);
+                    <div className="grid grid-cols-2 gap-2 sm:grid-cols-4">
+                      {(
+                        [
+                          ["fieldYards", "Field (yards)"],
+                          ["startSpot", "Drive start (yard line)"],
+                          ["noRunZone", "No-run zone (yards)"],
+                          ["downs", "Downs"],
+                          ["halfMinutes", "Half (minutes, 0 = untimed)"],
+                          ["timeoutsPerHalf", "Timeouts per half"],
+                          ["overtimePeriods", "Overtime periods"],
+                          ["overtimeMinutes", "Overtime (minutes)"],
+                        ] as const
+                      ).map(([key, label]) => (
+                        <div key={key}>
+                          <div className="mb-1 text-xs font-medium text-neutral-600">{label}</div>
+                          <Input type="number" min={0} value={ruleDraft[key]} onChange={(e) => patchRuleDraft({ [key]: Math.max(0, Number(e.target.value) || 0) })} />
+                        </div>
+                      ))}
+                    </div>
 
-  const exportJSON = () => {
-    const blob = new Blob([JSON.stringify(store, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "flag5v5-stats.json";
-    a.click();
-    URL.revokeObjectURL(url);
-  };
+                    <div>
+                      <div className="text-xs font-medium text-neutral-600">Events this league tracks</div>
+                      <div className="mt-2 grid grid-cols-1 gap-1 sm:grid-cols-3">
+                        {EVENT_TYPES.filter((t) => eventDef(t).group).map((t) => {
+                          const def = eventDef(t);
+                          const off = ruleDraft.disabledEvents?.includes(t) ?? false;
+                          const possible = def.available?.(ruleDraft) ?? true;
+                          return (
+                            <label key={t} className={cls("flex items-center gap-2 text-sm", !possible && "text-neutral-400")}>
+                              <input
+                                type="checkbox"
+                                checked={!off && possible}
+                                disabled={!possible}
+                                onChange={(e) =>
+                                  patchRuleDraft({
+                                    disabledEvents: e.target.checked
+                                      ? (ruleDraft.disabledEvents ?? []).filter((x) => x !== t)
+                                      : [...(ruleDraft.disabledEvents ?? []), t],
+                                  })
+                                }
+                              />
+                              {def.side === "them" ? `Opp: ${def.label}` : def.label}
+                            </label>
+                          );
+                        })}
+                      </div>
+                      <div className="mt-1 text-xs text-neutral-600">Greyed out: not possible under the scoring above.</div>
+                    </div>
 
-  const importJSON = async (file: File) => {
-    const text = await file.text();
-    const parsed = JSON.parse(text) as Store;
-    setStore({
-      players: Array.isArray(parsed.players) ? parsed.players : [],
-      games: Array.isArray(parsed.games)
-      ? parsed.games.map((g: any) => ({
-          ...g,
-          ruleSet: (g?.ruleSet as RuleSet) || "NFL_FLAG",
-          events: Array.isArray(g?.events) ? g.events : [],
-        }))
-      : [],
-      ui: parsed.ui ?? {},
-    });
-  };
+                    <div>
+                      <div className="mb-1 text-xs font-medium text-neutral-600">Notes (one per line, shown when logging)</div>
+                      <textarea
+                        className="h-24 w-full rounded-xl border border-neutral-200 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-neutral-200"
+                        value={ruleNotes}
+                        onChange={(e) => setRuleNotes(e.target.value)}
+                      />
+                    </div>
 
-  return (
-    <div className="min-h-screen bg-neutral-50 text-neutral-900">
-      <div className="mx-auto max-w-6xl px-4 py-6">
-        <header className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
-          <div>
-            <div className="text-2xl font-bold tracking-tight">5v5 Flag Football Stat Tracker</div>
-            <div className="text-sm text-neutral-600">Tap-to-log offensive + defensive player stats. Offline-first.</div>
-          </div>
-          <div className="flex items-center gap-2">
-            <Btn variant={tab === "games" ? "primary" : "ghost"} onClick={() => setTab("games")}>
-              Games
-            </Btn>
-            <Btn variant={tab === "roster" ? "primary" : "ghost"} onClick={() => setTab("roster")}>
-              Roster
-            </Btn>
-            <Btn variant="ghost" onClick={exportJSON} title="Export all data as JSON">
-              Export
-            </Btn>
-            <label className="rounded-xl border border-neutral-200 bg-white px-3 py-2 text-sm font-medium hover:bg-neutral-50 cursor-pointer">
-              Import
-              <input
-                type="file"
-                accept="application/json"
-                className="hidden"
-                onChange={(e) => {
-                  const f = e.target.files?.[0];
-                  if (f) void importJSON(f);
-                }}
-              />
-            </label>
+                    <div className="flex flex-wrap gap-2">
+                      <Btn onClick={saveRuleSet} disabled={!ruleDraft.name.trim() || ruleDraft.fieldYards < 2 || ruleDraft.downs < 1}>
+                        Save rule set
+                      </Btn>
+                      <Btn variant="ghost" onClick={() => setRuleDraft(null)}>Cancel</Btn>
+                    </div>
+                  </div>
+                )}
+              </CardBody>
+            </Card>
           </div>
-        </header>
+        )}
 
-        {/* Games */}
-        {tab === "games" && (
-          <div className="mt-6 grid grid-cols-1 gap-4 lg:grid-cols-3">
-            <Card className="lg:col-span-1">
+        {/* Season */}
+        {tab === "season" && (
+          <div className="mt-6 space-y-4">
+            <Card>
               <CardBody>
-                <SectionTitle>New game</SectionTitle>
-                <div className="mt-3 space-y-2">
+                <SectionTitle>Season</SectionTitle>
+                <div className="mt-3 grid grid-cols-1 gap-2 sm:grid-cols-5">
                   <div>
-                    <div className="mb-1 text-xs font-medium text-neutral-600">Opponent</div>
-                    <Input value={opponent} onChange={(e) => setOpponent(e.target.value)} placeholder="e.g., Tigers" />
+                    <div className="mb-1 text-xs font-medium text-neutral-600">Scope</div>
+                    <Select value={statsScope} onChange={(e) => setStatsScope(e.target.value as "season" | "career")}>
+                      <option value="season">{activeSeason?.name ?? "This season"}</option>
+                      <option value="career">Career (all seasons)</option>
+                    </Select>
                   </div>
                   <div>
-                    <div className="mb-1 text-xs font-medium text-neutral-600">Date</div>
-                    <Input type="date" value={dateISO} onChange={(e) => setDateISO(e.target.value)} />
+                    <div className="mb-1 text-xs font-medium text-neutral-600">From</div>
+                    <Input type="date" value={seasonFrom} onChange={(e) => setSeasonFrom(e.target.value)} />
+                  </div>
+                  <div>
+                    <div className="mb-1 text-xs font-medium text-neutral-600">To</div>
+                    <Input type="date" value={seasonTo} onChange={(e) => setSeasonTo(e.target.value)} />
                   </div>
                   <div>
                     <div className="mb-1 text-xs font-medium text-neutral-600">Rules</div>
-                    <Select value={ruleSet} onChange={(e) => setRuleSet(e.target.value as RuleSet)}>
-                      <option value="NFL_FLAG">NFL FLAG</option>
-                      <option value="NEXT_LEVEL">Next Level</option>
-                      <option value="FARM_LEAGUE">Farm League</option>
+                    <Select value={seasonRuleSet} onChange={(e) => setSeasonRuleSet(e.target.value)}>
+                      <option value="ALL">All rule sets</option>
+                      {ruleSets.map((r) => (
+                        <option key={r.id} value={r.id}>{r.name}</option>
+                      ))}
                     </Select>
-                    <div className="mt-1 text-xs text-neutral-600">
-                      PAT: {RULESET_HELP[ruleSet].pat1} • {RULESET_HELP[ruleSet].pat2}
+                  </div>
+                  <div className="flex items-end gap-2">
+                    <Btn variant={seasonPerGame ? "ghost" : "primary"} onClick={() => setSeasonPerGame(false)}>Totals</Btn>
+                    <Btn variant={seasonPerGame ? "primary" : "ghost"} onClick={() => setSeasonPerGame(true)}>Per game</Btn>
+                  </div>
+                </div>
+                <div className="mt-2 text-xs text-neutral-600">{seasonGames.length} games in range.</div>
+              </CardBody>
+            </Card>
+
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+              {LEADERBOARDS.map((lb) => {
+                const leaders = statsPlayers
+                  .map((p) => ({ p, v: seasonStats.totals[p.id]?.[lb.key] ?? 0 }))
+                  .filter((x) => x.v > 0)
+                  .sort((a, b) => b.v - a.v)
+                  .slice(0, 5);
+                return (
+                  <Card key={lb.key}>
+                    <CardBody>
+                      <div className="text-xs font-medium text-neutral-600">{lb.label}</div>
+                      <div className="mt-2 space-y-1">
+                        {leaders.length === 0 ? (
+                          <div className="text-sm text-neutral-600">—</div>
+                        ) : (
+                          leaders.map(({ p, v }) => (
+                            <button
+                              key={p.id}
+                              className="flex w-full items-center justify-between text-left text-sm hover:underline"
+                              onClick={() => setSeasonPlayerId(p.id)}
+                            >
+                              <span>{p.name}</span>
+                              <span className="tabular-nums font-semibold">{v}</span>
+                            </button>
+                          ))
+                        )}
+                      </div>
+                    </CardBody>
+                  </Card>
+                );
+              })}
+            </div>
+
+            <Card>
+              <CardBody>
+                <div className="flex items-center justify-between gap-2">
+                  <SectionTitle>{seasonPerGame ? "Per-game averages" : "Season totals"}</SectionTitle>
+                  <div className="flex items-center gap-2">
+                    <Btn variant="ghost" onClick={() => openReport("season")}>Print</Btn>
+                    <Btn variant="ghost" onClick={exportSeasonCSV}>Export CSV</Btn>
+                    <Btn
+                      variant="ghost"
+                      onClick={() => downloadFile("events.csv", eventLogCSV(seasonGames, store.players, store.plays), "text/csv")}
+                      disabled={seasonGames.length === 0}
+                    >
+                      Events CSV
+                    </Btn>
+                  </div>
+                </div>
+                <div className="mt-3 overflow-auto rounded-xl border border-neutral-200 bg-white">
+                  <table className="min-w-full text-sm">
+                    <thead className="bg-neutral-50 text-neutral-600">
+                      <tr>
+                        <th className="px-3 py-2 text-left">Player</th>
+                        <th className="px-3 py-2 text-right">GP</th>
+                        <BoxScoreHead columns={seasonColumns} />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {statsPlayers.map((p) => {
+                        const s = seasonStats.totals[p.id] ?? emptyStats();
+                        const gp = seasonStats.gamesPlayed[p.id] ?? 0;
+                        return (
+                          <tr key={p.id} className="border-t border-neutral-200">
+                            <td className="px-3 py-2 font-medium">
+                              <button className="hover:underline" onClick={() => setSeasonPlayerId(p.id)}>
+                                {p.name}{p.jersey ? ` (${p.jersey})` : ""}
+                              </button>
+                            </td>
+                            <td className="px-3 py-2 text-right tabular-nums">{gp}</td>
+                            <BoxScoreCells columns={seasonColumns} s={s} per={seasonPerGame ? gp : 1} />
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="mt-3 text-xs text-neutral-600">GP = Games played (logged in at least one event). Click a player for their game log.</div>
+              </CardBody>
+            </Card>
+
+            {seasonPlayerId && playersById[seasonPlayerId] ? (
+              <Card>
+                <CardBody>
+                  <div className="flex items-center justify-between gap-2">
+                    <SectionTitle>Game log: {playersById[seasonPlayerId].name}</SectionTitle>
+                    <div className="flex items-center gap-2">
+                      <Btn variant="ghost" onClick={() => openProfile(seasonPlayerId)}>Profile</Btn>
+                      <Btn variant="ghost" onClick={() => setSeasonPlayerId(undefined)}>Close</Btn>
+                    </div>
+                  </div>
+                  <div className="mt-3 overflow-auto rounded-xl border border-neutral-200 bg-white">
+                    <table className="min-w-full text-sm">
+                      <thead className="bg-neutral-50 text-neutral-600">
+                        <tr>
+                          <th className="px-3 py-2 text-left">Game</th>
+                          <BoxScoreHead columns={seasonColumns} />
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {seasonGameLog.length === 0 ? (
+                          <tr className="border-t border-neutral-200">
+                            <td className="px-3 py-2 text-neutral-600" colSpan={seasonColumns.length + 1}>No games in range.</td>
+                          </tr>
+                        ) : (
+                          seasonGameLog.map(({ game, s }) => (
+                            <tr key={game.id} className="border-t border-neutral-200">
+                              <td className="px-3 py-2 font-medium">
+                                <button className="hover:underline" onClick={() => openGame(game.id)}>
+                                  {fmtDate(game.dateISO)} vs {game.opponent}
+                                </button>
+                              </td>
+                              <BoxScoreCells columns={seasonColumns} s={s} />
+                            </tr>
+                          ))
+                        )}
+                      </tbody>
+                    </table>
+                  </div>
+                </CardBody>
+              </Card>
+            ) : null}
+          </div>
+        )}
+
+        {/* Playbook */}
+        {tab === "playbook" && (
+          <div className="mt-6 space-y-4">
+            <div className="grid grid-cols-1 gap-4 lg:grid-cols-3">
+              <Card className="lg:col-span-1">
+                <CardBody>
+                  <SectionTitle>{playDraft.id ? "Edit play" : "New play"}</SectionTitle>
+                  <div className="mt-3 space-y-2">
+                    <div>
+                      <div className="mb-1 text-xs font-medium text-neutral-600">Name</div>
+                      <Input value={playDraft.name} onChange={(e) => setPlayDraft({ ...playDraft, name: e.target.value })} placeholder="e.g., Trips Slant" />
+                    </div>
+                    <div>
+                      <div className="mb-1 text-xs font-medium text-neutral-600">Formation</div>
+                      <Input value={playDraft.formation} onChange={(e) => setPlayDraft({ ...playDraft, formation: e.target.value })} placeholder="e.g., Trips Right" />
+                    </div>
+                    <div>
+                      <div className="mb-1 text-xs font-medium text-neutral-600">Routes (optional): tap where a player lines up, then along their route</div>
+                      <PlayDiagram routes={playDraft.routes} onAdd={addRoutePoint} className="w-full" />
+                      <div className="mt-2 flex flex-wrap gap-2">
+                        <Btn variant="ghost" onClick={newRoute} disabled={!playDraft.routes.some((r) => r.points.length)}>New route</Btn>
+                        <Btn variant="ghost" onClick={undoRoutePoint} disabled={!playDraft.routes.some((r) => r.points.length)}>Undo point</Btn>
+                        <Btn variant="ghost" onClick={() => setPlayDraft({ ...playDraft, routes: [] })} disabled={!playDraft.routes.length}>Clear</Btn>
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <Btn onClick={savePlayDraft} disabled={!playDraft.name.trim() || !activeTeam}>
+                        {playDraft.id ? "Save" : "Add play"}
+                      </Btn>
+                      {playDraft.id ? <Btn variant="ghost" onClick={() => setPlayDraft(emptyPlayDraft())}>Cancel</Btn> : null}
+                    </div>
+                    <div className="text-xs text-neutral-600">
+                      Tag plays from the Quick log's play call, with "@name" in the command bar, or by editing an event.
                     </div>
                   </div>
-                  <Btn onClick={addGame} disabled={!opponent.trim()}>
-                    Create game
-                  </Btn>
-                  <div className="text-xs text-neutral-600">
-                    Tip: Build your roster first so you can log plays faster.
-                  </div>
-                </div>
-              </CardBody>
-            </Card>
+                </CardBody>
+              </Card>
 
-            <Card className="lg:col-span-2">
-              <CardBody>
-                <SectionTitle>Games</SectionTitle>
-                <div className="mt-3 space-y-2">
-                  {store.games.length === 0 ? (
-                    <div className="text-sm text-neutral-600">No games yet.</div>
-                  ) : (
-                    store.games.map((g) => (
-                      <div key={g.id} className="flex items-center justify-between gap-2 rounded-xl border border-neutral-200 bg-white p-3">
-                        <div>
-                          <div className="font-semibold">vs {g.opponent}</div>
-                          <div className="text-xs text-neutral-600">{fmtDate(g.dateISO)} • {RULESET_LABEL[g.ruleSet]} • {g.events.length} events</div>
-                        </div>
-                        <div className="flex items-center gap-2">
-                          <Btn variant="ghost" onClick={() => openGame(g.id)}>
-                            Open
-                          </Btn>
-                          <Btn
-                            variant="danger"
-                            onClick={() => deleteGame(g.id)}
-                            title="Delete game"
-                          >
-                            Delete
-                          </Btn>
+              <Card className="lg:col-span-2">
+                <CardBody>
+                  <SectionTitle>Playbook: {activeTeam?.name}</SectionTitle>
+                  <div className="mt-3 grid grid-cols-1 gap-2 sm:grid-cols-2">
+                    {teamPlays.length === 0 ? <div className="text-sm text-neutral-600">No plays yet.</div> : null}
+                    {[...teamPlays.filter((x) => !x.archived), ...teamPlays.filter((x) => x.archived)].map((x) => (
+                      <div key={x.id} className={cls("flex gap-3 rounded-xl border border-neutral-200 p-3", x.archived ? "bg-neutral-100" : "bg-white")}>
+                        {x.routes?.length ? <PlayDiagram routes={x.routes} className="w-24 shrink-0" /> : null}
+                        <div className="min-w-0 flex-1">
+                          <div className={cls("font-semibold", x.archived && "text-neutral-500")}>{x.name}</div>
+                          <div className="text-xs text-neutral-600">
+                            {x.archived ? "Retired • " : ""}
+                            {x.formation || "No formation"} • @{playKey(x)}
+                          </div>
+                          <div className="mt-2 flex flex-wrap gap-2">
+                            <Btn
+                              variant="ghost"
+                              onClick={() => setPlayDraft({ id: x.id, name: x.name, formation: x.formation ?? "", routes: x.routes ?? [] })}
+                            >
+                              Edit
+                            </Btn>
+                            <Btn
+                              variant="ghost"
+                              onClick={() => setPlayArchived(x.id, !x.archived)}
+                              title={x.archived ? "Offer as a play call again" : "Stop offering it as a play call; its report stays"}
+                            >
+                              {x.archived ? "Restore" : "Retire"}
+                            </Btn>
+                            {hasCalls(store.games, x.id) ? null : (
+                              <Btn variant="danger" onClick={() => deletePlay(x.id)} title="Delete play (only possible before it has been called)">
+                                Delete
+                              </Btn>
+                            )}
+                          </div>
                         </div>
                       </div>
-                    ))
-                  )}
+                    ))}
+                  </div>
+                </CardBody>
+              </Card>
+            </div>
+
+            <Card>
+              <CardBody>
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <SectionTitle>Play report</SectionTitle>
+                  <div className="w-48">
+                    <Select value={playScope} onChange={(e) => setPlayScope(e.target.value as "season" | "team")}>
+                      <option value="season">{activeSeason?.name ?? "This season"}</option>
+                      <option value="team">All seasons</option>
+                    </Select>
+                  </div>
+                </div>
+                <div className="mt-1 text-xs text-neutral-600">
+                  Calls are snaps (passes, runs and catches) plus extra-point tries. TD % and yards per call count snaps only.
+                </div>
+                <div className="mt-3 overflow-auto rounded-xl border border-neutral-200 bg-white">
+                  <table className="min-w-full text-sm">
+                    <thead className="bg-neutral-50 text-neutral-600">
+                      <tr>
+                        <th className="px-3 py-2 text-left">Play</th>
+                        <th className="px-3 py-2 text-right">Calls</th>
+                        <th className="px-3 py-2 text-right">Comp/Att</th>
+                        <th className="px-3 py-2 text-right">Comp %</th>
+                        <th className="px-3 py-2 text-right">Rush</th>
+                        <th className="px-3 py-2 text-right">TD</th>
+                        <th className="px-3 py-2 text-right">TD %</th>
+                        <th className="px-3 py-2 text-right">Yds/Call</th>
+                        <th className="px-3 py-2 text-right">Long</th>
+                        <th className="px-3 py-2 text-right">Tries</th>
+                        <th className="px-3 py-2 text-left">Targets</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {playLines.length === 0 ? (
+                        <tr>
+                          <td colSpan={11} className="px-3 py-3 text-neutral-600">Add plays to the playbook to see how they work.</td>
+                        </tr>
+                      ) : null}
+                      {playLines.map(({ play, team: t, targets, out }) => (
+                        <tr key={play.id} className="border-t border-neutral-200">
+                          <td className="px-3 py-2">
+                            <div className="font-medium">{play.name}</div>
+                            {play.formation ? <div className="text-xs text-neutral-600">{play.formation}</div> : null}
+                          </td>
+                          <td className="px-3 py-2 text-right tabular-nums">{out.snaps + out.tries}</td>
+                          <td className="px-3 py-2 text-right tabular-nums">{t.passAtt ? `${t.passComp}/${t.passAtt}` : "–"}</td>
+                          <td className="px-3 py-2 text-right tabular-nums">{compPct(t) ?? "–"}{t.passAtt ? "%" : ""}</td>
+                          <td className="px-3 py-2 text-right tabular-nums">{t.rushAtt || "–"}</td>
+                          <td className="px-3 py-2 text-right tabular-nums">{out.tds}</td>
+                          <td className="px-3 py-2 text-right tabular-nums">{out.snaps ? `${Math.round((100 * out.tds) / out.snaps)}%` : "–"}</td>
+                          <td className="px-3 py-2 text-right tabular-nums">{perAttempt(out.yards, out.snaps)}</td>
+                          <td className="px-3 py-2 text-right tabular-nums">{out.snaps ? t.long : "–"}</td>
+                          <td className="px-3 py-2 text-right tabular-nums">{out.tries ? `${out.made}/${out.tries}` : "–"}</td>
+                          <td className="px-3 py-2 text-xs">
+                            {Object.entries(targets)
+                              .sort((a, b) => b[1] - a[1])
+                              .map(([pid, n]) => `${playersById[pid]?.name ?? "Unknown"} ${n}`)
+                              .join(", ") || "–"}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
                 </div>
               </CardBody>
             </Card>
           </div>
         )}
 
-        {/* Roster */}
-        {tab === "roster" && (
-          <div className="mt-6 grid grid-cols-1 gap-4 lg:grid-cols-3">
-            <Card className="lg:col-span-1">
-              <CardBody>
-                <SectionTitle>Add player</SectionTitle>
-                <div className="mt-3 space-y-2">
-                  <div>
-                    <div className="mb-1 text-xs font-medium text-neutral-600">Name</div>
-                    <Input value={newPlayerName} onChange={(e) => setNewPlayerName(e.target.value)} placeholder="e.g., Brayden" />
+        {/* Links to a game or player that isn't here */}
+        {(((tab === "game" || tab === "report") && reportKind === "game" && !selectedGame) || (tab === "player" && !profile)) && (
+          <Card className="mt-6">
+            <CardBody>
+              <SectionTitle>{tab === "player" ? "Player not found" : "Game not found"}</SectionTitle>
+              <div className="mt-2 text-sm text-neutral-600">
+                This link points to a {tab === "player" ? "player" : "game"} that isn't in your stats. It may have been deleted, or it was
+                recorded on another device that hasn't synced.
+              </div>
+              <div className="mt-3">
+                {tab === "player" ? (
+                  <Btn variant="ghost" onClick={() => navigate({ tab: "roster" })}>Back to roster</Btn>
+                ) : (
+                  <Btn variant="ghost" onClick={() => navigate({ tab: "games" })}>Back to games</Btn>
+                )}
+              </div>
+            </CardBody>
+          </Card>
+        )}
+
+        {/* Player profile */}
+        {tab === "player" && profile && (() => {
+          const { player, lines, seasons, career, highs, trend, columns } = profile;
+          const roles = playedRoles(career);
+          return (
+            <div className="mt-6 space-y-4">
+              <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+                <div>
+                  <div className="text-xl font-bold">
+                    {player.name} {player.jersey ? <span className="text-neutral-500">#{jerseyOf(player)}</span> : null}
                   </div>
-                  <div>
-                    <div className="mb-1 text-xs font-medium text-neutral-600">Jersey (optional)</div>
-                    <Input value={newPlayerJersey} onChange={(e) => setNewPlayerJersey(e.target.value)} placeholder="#7" />
+                  <div className="text-sm text-neutral-600">
+                    {player.position ? `Position: ${player.position}` : "No listed position"}
+                    {roles.length ? ` • Played as ${roles.join(", ")}` : ""} • {lines.length} game{lines.length === 1 ? "" : "s"}
+                    {player.archived ? " • Archived" : ""}
                   </div>
-                  <Btn onClick={addPlayer} disabled={!newPlayerName.trim()}>
-                    Add
-                  </Btn>
                 </div>
-              </CardBody>
-            </Card>
+                <Btn variant="ghost" onClick={() => navigate({ tab: "roster" })}>Back to roster</Btn>
+              </div>
 
-            <Card className="lg:col-span-2">
-              <CardBody>
-                <SectionTitle>Roster</SectionTitle>
-                <div className="mt-3 space-y-2">
-                  {store.players.length === 0 ? (
-                    <div className="text-sm text-neutral-600">No players yet.</div>
-                  ) : (
-                    store.players.map((p) => (
-                      <div key={p.id} className="flex items-center justify-between gap-2 rounded-xl border border-neutral-200 bg-white p-3">
-                        <div>
-                          <div className="font-semibold">{p.name} {p.jersey ? <span className="text-neutral-500">({p.jersey})</span> : null}</div>
-                          <div className="text-xs text-neutral-600">id: {p.id}</div>
+              <Card>
+                <CardBody>
+                  <SectionTitle>Season and career totals</SectionTitle>
+                  <div className="mt-3 overflow-auto rounded-xl border border-neutral-200 bg-white">
+                    <table className="min-w-full text-sm">
+                      <thead className="bg-neutral-50 text-neutral-600">
+                        <tr>
+                          <th className="px-3 py-2 text-left">Season</th>
+                          <th className="px-3 py-2 text-right">GP</th>
+                          <BoxScoreHead columns={columns} />
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {seasons.map(({ season, team, games, totals }) => (
+                          <tr key={season.id} className="border-t border-neutral-200">
+                            <td className="px-3 py-2 font-medium">{team?.name ?? "?"} • {season.name}</td>
+                            <td className="px-3 py-2 text-right tabular-nums">{games}</td>
+                            <BoxScoreCells columns={columns} s={totals} />
+                          </tr>
+                        ))}
+                        <tr className="border-t border-neutral-300 bg-neutral-50">
+                          <td className="px-3 py-2 font-semibold">Career</td>
+                          <td className="px-3 py-2 text-right tabular-nums">{lines.length}</td>
+                          <BoxScoreCells columns={columns} s={career} />
+                        </tr>
+                      </tbody>
+                    </table>
+                  </div>
+                </CardBody>
+              </Card>
+
+              <div className="grid grid-cols-1 gap-4 lg:grid-cols-3">
+                <Card>
+                  <CardBody>
+                    <SectionTitle>Career highs</SectionTitle>
+                    <div className="mt-3 space-y-1 text-sm">
+                      {highs.length === 0 ? <div className="text-neutral-600">No stats yet.</div> : null}
+                      {highs.map((h) => (
+                        <div key={h.key} className="flex items-center justify-between gap-2">
+                          <span>{h.label}</span>
+                          <button className="text-right hover:underline" onClick={() => openGame(h.game.id)}>
+                            <span className="font-semibold tabular-nums">{h.value}</span>{" "}
+                            <span className="text-xs text-neutral-500">vs {h.game.opponent}, {fmtDate(h.game.dateISO)}</span>
+                          </button>
                         </div>
-                        <Btn variant="danger" onClick={() => deletePlayer(p.id)} title="Delete player (removes their events across all games)">
-                          Delete
-                        </Btn>
+                      ))}
+                    </div>
+                  </CardBody>
+                </Card>
+
+                <Card className="lg:col-span-2">
+                  <CardBody>
+                    <div className="flex items-center justify-between gap-2">
+                      <SectionTitle>Trends</SectionTitle>
+                      <div className="w-48">
+                        <Select value={trendSeasonId} onChange={(e) => setTrendSeasonId(e.target.value)}>
+                          <option value="career">Career</option>
+                          {seasons.map(({ season, team }) => (
+                            <option key={season.id} value={season.id}>
+                              {team?.name ?? "?"} • {season.name}
+                            </option>
+                          ))}
+                        </Select>
                       </div>
-                    ))
-                  )}
-                </div>
-              </CardBody>
-            </Card>
-          </div>
-        )}
+                    </div>
+                    <div className="mt-3 grid grid-cols-1 gap-2 sm:grid-cols-3">
+                      <TrendChart label="Points" values={trend.map((l) => l.s.points)} />
+                      <TrendChart label="Flag pulls" values={trend.map((l) => l.s.flagPulls)} />
+                      <TrendChart label="Completion %" values={trend.map((l) => compPct(l.s))} unit="%" />
+                    </div>
+                    <div className="mt-2 text-xs text-neutral-500">{trend.length} game{trend.length === 1 ? "" : "s"}, oldest first.</div>
+                  </CardBody>
+                </Card>
+              </div>
+
+              <Card>
+                <CardBody>
+                  <SectionTitle>Game log</SectionTitle>
+                  <div className="mt-3 overflow-auto rounded-xl border border-neutral-200 bg-white">
+                    <table className="min-w-full text-sm">
+                      <thead className="bg-neutral-50 text-neutral-600">
+                        <tr>
+                          <th className="px-3 py-2 text-left">Game</th>
+                          <BoxScoreHead columns={columns} />
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {lines.length === 0 ? (
+                          <tr className="border-t border-neutral-200">
+                            <td className="px-3 py-2 text-neutral-600" colSpan={columns.length + 1}>No games yet.</td>
+                          </tr>
+                        ) : (
+                          [...lines].reverse().map(({ game, s }) => (
+                            <tr key={game.id} className="border-t border-neutral-200">
+                              <td className="px-3 py-2 font-medium">
+                                <button className="hover:underline" onClick={() => openGame(game.id)}>
+                                  {fmtDate(game.dateISO)} vs {game.opponent}
+                                </button>
+                              </td>
+                              <BoxScoreCells columns={columns} s={s} />
+                            </tr>
+                          ))
+                        )}
+                      </tbody>
+                    </table>
+                  </div>
+                </CardBody>
+              </Card>
+            </div>
+          );
+        })()}
 
         {/* Game view */}
         {tab === "game" && selectedGame && (
@@ -644,21 +5464,246 @@ export default function App() {
             <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
               <div>
                 <div className="text-xl font-bold">Game: vs {selectedGame.opponent}</div>
-                <div className="text-sm text-neutral-600">{fmtDate(selectedGame.dateISO)} • {RULESET_LABEL[selectedGame.ruleSet]} • {selectedGame.events.length} events</div>
+                <div className="text-sm text-neutral-600">{fmtDate(selectedGame.dateISO)} • {gameRules.name} • {selectedGame.events.length} events</div>
+              </div>
+              <div className="flex items-center gap-3 rounded-2xl border border-neutral-200 bg-white px-4 py-2">
+                <div className="text-center">
+                  <div className="text-xs text-neutral-600">Us</div>
+                  <div className="text-2xl font-bold tabular-nums">{liveScore.us}</div>
+                </div>
+                <div className="text-neutral-400">—</div>
+                <div className="text-center">
+                  <div className="text-xs text-neutral-600">{selectedGame.opponent}</div>
+                  <div className="text-2xl font-bold tabular-nums">{liveScore.them}</div>
+                </div>
+                <div className="text-xs font-medium text-neutral-600">{selectedGame.final ? `Final (${gameResult(selectedGame.final)})` : "Live"}</div>
               </div>
               <div className="flex items-center gap-2">
-                <Btn variant="ghost" onClick={() => setTab("games")}>Back to games</Btn>
+                {selectedGame.final ? (
+                  <Btn variant="ghost" onClick={() => setGameFinal(false)}>Reopen</Btn>
+                ) : (
+                  <Btn onClick={() => setGameFinal(true)}>Mark final</Btn>
+                )}
+                <Btn variant={selectedGame.pbp ? "primary" : "ghost"} onClick={selectedGame.pbp ? stopPlayByPlay : startPlayByPlay}>
+                  Play-by-play {selectedGame.pbp ? "on" : "off"}
+                </Btn>
+                <Btn variant={selectedGame.clock ? "primary" : "ghost"} onClick={selectedGame.clock ? stopGameClock : startGameClock}>
+                  Clock {selectedGame.clock ? "on" : "off"}
+                </Btn>
+                <Btn variant="ghost" onClick={() => openReport("game")}>Print</Btn>
+                <Btn variant="ghost" onClick={() => void shareGame()}>Share</Btn>
+                <Btn variant="ghost" onClick={() => navigate({ tab: "games" })}>Back to games</Btn>
                 <Btn variant="danger" onClick={clearGameEvents} disabled={selectedGame.events.length === 0}>Clear events</Btn>
               </div>
             </div>
 
+            {/* Share */}
+            {shareLink ? (
+              <Card>
+                <CardBody>
+                  <div className="flex items-center justify-between gap-2">
+                    <SectionTitle>Share this game</SectionTitle>
+                    <Btn variant="ghost" onClick={() => setShareLink(null)}>Close</Btn>
+                  </div>
+                  <div className="mt-3 flex flex-col gap-4 sm:flex-row">
+                    <QrCode text={shareLink} />
+                    <div className="flex-1 space-y-2">
+                      <div className="text-sm text-neutral-600">
+                        Anyone with the link sees a read-only box score and can import the game. Everything is in the link itself, so it
+                        works without a server.
+                      </div>
+                      <Input readOnly value={shareLink} onFocus={(e) => e.currentTarget.select()} />
+                      <div className="flex flex-wrap gap-2">
+                        <Btn onClick={() => void navigator.clipboard?.writeText(shareLink)}>Copy link</Btn>
+                        {"share" in navigator ? (
+                          <Btn variant="ghost" onClick={() => void navigator.share({ title: `Stats vs ${selectedGame.opponent}`, url: shareLink }).catch(() => undefined)}>
+                            Share…
+                          </Btn>
+                        ) : null}
+                      </div>
+                      <div className="text-xs text-neutral-500">{shareLink.length.toLocaleString()} characters</div>
+                    </div>
+                  </div>
+                </CardBody>
+              </Card>
+            ) : null}
+
+            {/* Game clock */}
+            {selectedGame.clock ? (() => {
+              const c = selectedGame.clock;
+              const timed = periodMinutes(c.period, gameRules) > 0;
+              const left = clockRemaining(c, c.runningSince ? Math.max(now, c.runningSince) : now);
+              const lastPeriod = 2 + gameRules.overtimePeriods;
+              return (
+                <Card>
+                  <CardBody>
+                    <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+                      <div>
+                        <div className="text-xs font-medium text-neutral-600">{fmtPeriod(c.period)}</div>
+                        <div className="text-2xl font-bold tabular-nums">{timed ? fmtClock(left) : "Untimed"}</div>
+                      </div>
+                      <div className="flex flex-wrap items-center gap-2">
+                        {timed ? (
+                          <>
+                            <Btn variant={c.runningSince ? "danger" : "primary"} onClick={toggleClock}>
+                              {c.runningSince ? "Stop clock" : "Start clock"}
+                            </Btn>
+                            {c.runningSince ? null : (
+                              <div className="w-24">
+                                <Input
+                                  key={`${c.period}:${c.remaining}`}
+                                  defaultValue={fmtClock(c.remaining)}
+                                  onBlur={(e) => setClockTime(e.target.value)}
+                                  title="Set the time left (m:ss)"
+                                />
+                              </div>
+                            )}
+                          </>
+                        ) : null}
+                        <Btn variant="ghost" onClick={nextPeriod} disabled={c.period >= lastPeriod}>
+                          {c.period >= lastPeriod ? "Last period" : `Start ${fmtPeriod(c.period + 1)}`}
+                        </Btn>
+                        <Btn variant="ghost" onClick={() => callTimeout("us")} disabled={timeoutsLeft(c, gameRules, "us") === 0}>
+                          Our timeout ({timeoutsLeft(c, gameRules, "us")} left)
+                        </Btn>
+                        <Btn variant="ghost" onClick={() => callTimeout("them")} disabled={timeoutsLeft(c, gameRules, "them") === 0}>
+                          Opp timeout ({timeoutsLeft(c, gameRules, "them")} left)
+                        </Btn>
+                      </div>
+                    </div>
+                    {c.timeouts.length ? (
+                      <div className="mt-2 text-xs text-neutral-600">
+                        Timeouts:{" "}
+                        {c.timeouts
+                          .map((t) => `${t.side === "us" ? "Us" : selectedGame.opponent} (${fmtGameTime({ period: t.period, clock: t.clock }, gameRules)})`)
+                          .join(" • ")}
+                      </div>
+                    ) : null}
+                  </CardBody>
+                </Card>
+              );
+            })() : null}
+
+            {/* Play-by-play situation */}
+            {selectedGame.pbp ? (() => {
+              const sit = selectedGame.pbp;
+              const cfg = gameRules;
+              return (
+                <Card>
+                  <CardBody>
+                    <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+                      <div>
+                        <div className="text-xs font-medium text-neutral-600">
+                          Drive {sit.drive} • {sit.possession === "us" ? "Our ball" : `${selectedGame.opponent} ball`}
+                        </div>
+                        <div className="text-xl font-bold">
+                          {fmtDownDistance(sit, cfg.fieldYards)} • {fmtSpot(sit.spot, cfg.fieldYards)}
+                        </div>
+                        {inNoRunZone(sit, cfg) ? (
+                          <div className="mt-1 inline-block rounded-lg bg-amber-100 px-2 py-0.5 text-xs font-medium text-amber-800">
+                            No-run zone
+                          </div>
+                        ) : null}
+                      </div>
+                      <div className="flex flex-wrap items-center gap-2">
+                        <Btn variant="ghost" onClick={() => updateSituation((x) => ({ ...x, down: Math.max(1, x.down - 1) }))}>Down −</Btn>
+                        <Btn variant="ghost" onClick={() => updateSituation((x) => ({ ...x, down: Math.min(cfg.downs, x.down + 1) }))}>Down +</Btn>
+                        {[-5, -1, 1, 5].map((d) => (
+                          <Btn
+                            key={d}
+                            variant="ghost"
+                            onClick={() => updateSituation((x) => ({ ...x, spot: Math.min(Math.max(x.spot + d, 0), cfg.fieldYards - 1) }))}
+                          >
+                            Spot {d > 0 ? `+${d}` : d}
+                          </Btn>
+                        ))}
+                        {sit.possession === "them" ? (
+                          <Btn variant="ghost" onClick={() => pushOppEvent("OPP_PLAY")} title="Opponent snap with no stat for us (uses Yards as their gain)">
+                            Opp play
+                          </Btn>
+                        ) : null}
+                        <Btn onClick={changePossession}>Change possession</Btn>
+                      </div>
+                    </div>
+                    <div className="mt-2 text-xs text-neutral-600">
+                      Snaps advance the down and spot by their Yards. On defensive plays enter the opponent's gain. Every possession starts at the {cfg.startSpot}; midfield is the first line to gain.
+                    </div>
+                  </CardBody>
+                </Card>
+              );
+            })() : null}
+
+            {/* Command bar */}
+            {loggerPlayers.length ? (
+              <Card>
+                <CardBody>
+                  <div className="flex items-center justify-between gap-2">
+                    <SectionTitle>Command bar</SectionTitle>
+                    <div className="text-xs text-neutral-500">/ to focus • Tab completes • Enter logs • Esc clears</div>
+                  </div>
+                  <div className="mt-3">
+                    <Input
+                      id="command-bar"
+                      value={commandText}
+                      onChange={(e) => {
+                        setCommandText(e.target.value);
+                        setSuggestionIndex(0);
+                      }}
+                      onKeyDown={onCommandKey}
+                      placeholder="12 c 7 14y @slant • 3 fp • 12 td 7 +2 • opp td ; note"
+                      autoComplete="off"
+                      spellCheck={false}
+                    />
+                  </div>
+                  {suggestions.length ? (
+                    <div className="mt-2 flex flex-wrap gap-1">
+                      {suggestions.map((sg, i) => (
+                        <button
+                          key={sg.token}
+                          className={cls(
+                            "rounded-lg border border-neutral-200 px-2 py-1 text-xs hover:bg-neutral-50",
+                            i === suggestionIndex && "bg-neutral-900 text-white hover:bg-neutral-800"
+                          )}
+                          onClick={() => {
+                            acceptSuggestion(sg.token);
+                            document.getElementById("command-bar")?.focus();
+                          }}
+                        >
+                          <span className="font-mono">{sg.token}</span> {sg.label}
+                        </button>
+                      ))}
+                    </div>
+                  ) : null}
+                  {commandText.trim() ? (
+                    <div className="mt-2 text-sm">
+                      {command.errors.length ? (
+                        command.errors.map((err) => (
+                          <div key={err} className="text-red-700">{err}</div>
+                        ))
+                      ) : (
+                        command.events.map((e, i) => (
+                          <div key={i} className="text-neutral-700">
+                            ↵ {isOppEvent(e.type) ? selectedGame.opponent : playersById[e.playerId]?.name ?? "Unknown"}:{" "}
+                            {eventLabel(e.type, e.receiverId ? playersById[e.receiverId] : undefined, e.penalty)}
+                            {e.yards !== undefined ? `, ${e.yards} yds` : ""}
+                            {!isOppEvent(e.type) && (e.playId ?? playCall) ? ` • Play: ${playsById[e.playId ?? playCall]?.name}` : ""}
+                            {e.note ? ` • ${e.note}` : ""}
+                          </div>
+                        ))
+                      )}
+                    </div>
+                  ) : null}
+                </CardBody>
+              </Card>
+            ) : null}
+
             <div className="grid grid-cols-1 gap-4 lg:grid-cols-3">
               {/* Quick logger */}
               <Card className="lg:col-span-1">
                 <CardBody>
                   <SectionTitle>Quick log</SectionTitle>
 
-                  {store.players.length === 0 ? (
+                  {loggerPlayers.length === 0 ? (
                     <div className="mt-3 text-sm text-neutral-600">Add players in Roster first.</div>
                   ) : (
                     <>
@@ -666,7 +5711,7 @@ export default function App() {
                         <div>
                           <div className="mb-1 text-xs font-medium text-neutral-600">Primary player</div>
                           <Select value={primaryPlayerId} onChange={(e) => setPrimaryPlayerId(e.target.value)}>
-                            {store.players.map((p) => (
+                            {loggerPlayers.map((p) => (
                               <option key={p.id} value={p.id}>
                                 {p.name}{p.jersey ? ` (${p.jersey})` : ""}
                               </option>
@@ -677,7 +5722,7 @@ export default function App() {
                         <div>
                           <div className="mb-1 text-xs font-medium text-neutral-600">Receiver (for completions/TD passes)</div>
                           <Select value={receiverId} onChange={(e) => setReceiverId(e.target.value)}>
-                            {store.players.map((p) => (
+                            {loggerPlayers.map((p) => (
                               <option key={p.id} value={p.id}>
                                 {p.name}{p.jersey ? ` (${p.jersey})` : ""}
                               </option>
@@ -685,60 +5730,83 @@ export default function App() {
                           </Select>
                         </div>
 
-                        <div>
-                          <div className="mb-1 text-xs font-medium text-neutral-600">Note (optional)</div>
-                          <Input value={note} onChange={(e) => setNote(e.target.value)} placeholder="e.g., 4th down stop" />
-                        </div>
-                      </div>
-
-                      <div className="mt-4">
-                        <div className="text-xs font-medium text-neutral-600">Passing</div>
-                        <div className="mt-2 grid grid-cols-2 gap-2">
-                          <Btn variant="ghost" onClick={() => pushEvent("PASS_ATT")}>Pass Att</Btn>
-                          <Btn onClick={() => pushEvent("PASS_COMP", { receiverId })}>Complete</Btn>
-                          <Btn onClick={() => pushEvent("PASS_TD", { receiverId })}>Pass TD</Btn>
-                          <Btn variant="danger" onClick={() => pushEvent("INT_THROWN")}>INT Thrown</Btn>
-                        </div>
-                      </div>
+                        {callablePlays.length ? (
+                          <div>
+                            <div className="mb-1 text-xs font-medium text-neutral-600">Play call (tags the next play logged here or in the command bar)</div>
+                            <Select value={playCall} onChange={(e) => setPlayCall(e.target.value)}>
+                              <option value="">—</option>
+                              {callablePlays.map((x) => (
+                                <option key={x.id} value={x.id}>
+                                  {x.name}{x.formation ? ` (${x.formation})` : ""}
+                                </option>
+                              ))}
+                            </Select>
+                          </div>
+                        ) : null}
 
-                      <div className="mt-4">
-                        <div className="text-xs font-medium text-neutral-600">Rushing / Receiving</div>
-                        <div className="mt-2 grid grid-cols-2 gap-2">
-                          <Btn variant="ghost" onClick={() => pushEvent("RUSH_ATT")}>Rush Att</Btn>
-                          <Btn onClick={() => pushEvent("RUSH_TD")}>Rush TD</Btn>
-                          <Btn variant="ghost" onClick={() => pushEvent("REC")}>Reception</Btn>
-                          <Btn onClick={() => pushEvent("REC_TD")}>Rec TD</Btn>
+                        <div>
+                          <div className="mb-1 text-xs font-medium text-neutral-600">Yards (rushes, catches, TDs, INT returns, penalties)</div>
+                          <Input
+                            type="number"
+                            inputMode="numeric"
+                            value={yards}
+                            onChange={(e) => setYards(e.target.value)}
+                            placeholder="e.g., 12"
+                          />
+                          <div className="mt-2 flex flex-wrap gap-1">
+                            {YARDS_CHIPS.map((y) => (
+                              <button
+                                key={y}
+                                className={cls(
+                                  "rounded-lg border border-neutral-200 px-2 py-1 text-xs tabular-nums hover:bg-neutral-50",
+                                  yards === String(y) && "bg-neutral-900 text-white hover:bg-neutral-800"
+                                )}
+                                onClick={() => setYards(String(y))}
+                              >
+                                {y > 0 ? `+${y}` : y}
+                              </button>
+                            ))}
+                          </div>
                         </div>
-                      </div>
 
-                      <div className="mt-4">
-                        <div className="text-xs font-medium text-neutral-600">Defense</div>
-                        <div className="mt-2 grid grid-cols-2 gap-2">
-                          <Btn onClick={() => pushEvent("FLAG_PULL")}>Flag Pull</Btn>
-                          <Btn onClick={() => pushEvent("SACK")}>Sack</Btn>
-                          <Btn onClick={() => pushEvent("DEF_INT")}>INT</Btn>
-                          <Btn onClick={() => pushEvent("DEF_TD")}>Def TD</Btn>
+                        <div>
+                          <div className="mb-1 text-xs font-medium text-neutral-600">Note (optional)</div>
+                          <Input value={note} onChange={(e) => setNote(e.target.value)} placeholder="e.g., 4th down stop" />
                         </div>
                       </div>
 
-                      <div className="mt-4">
-                        <div className="text-xs font-medium text-neutral-600">PAT</div>
-                        <div className="mt-1 text-xs text-neutral-600">
-                          {RULESET_HELP[selectedGame.ruleSet].pat1} • {RULESET_HELP[selectedGame.ruleSet].pat2}
-                        </div>
-                        <div className="mt-2 grid grid-cols-2 gap-2">
-                          <Btn onClick={() => pushEvent("XP_1")}>+1</Btn>
-                          <Btn onClick={() => pushEvent("XP_2")}>+2</Btn>
-                          {RULESET_CONFIG[selectedGame.ruleSet].allowPatReturn ? (
-                            <Btn variant="danger" onClick={() => pushEvent("PAT_RET_2")}>
-                              PAT Return +2
-                            </Btn>
+                      {loggerGroups.map(({ group, types }) => (
+                        <div key={group} className="mt-4">
+                          <div className="text-xs font-medium text-neutral-600">
+                            {group === "Penalties" ? "Penalties (yards above; ours go on the player)" : group}
+                          </div>
+                          {group === "PAT" ? (
+                            <div className="mt-1 text-xs text-neutral-600">{gameRules.pats.map(fmtPat).join(" • ")}</div>
                           ) : null}
+                          {group === "Penalties" ? (
+                            <div className="mt-2">
+                              <Select value={penaltyType} onChange={(e) => setPenaltyType(e.target.value)}>
+                                {PENALTY_TYPES.map((t) => (
+                                  <option key={t} value={t}>{t}</option>
+                                ))}
+                              </Select>
+                            </div>
+                          ) : null}
+                          <div className="mt-2 grid grid-cols-2 gap-2">
+                            {types.map((t) => (
+                              <Btn key={t} variant={eventDef(t).color ?? "primary"} onClick={() => logEvent(t)}>
+                                {eventDef(t).button?.(gameRules) ?? eventDef(t).label}
+                              </Btn>
+                            ))}
+                          </div>
                         </div>
-                      </div>
+                      ))}
 
                       <div className="mt-4 text-xs text-neutral-600">
-                        You can customize these buttons to match your league rules (rush line, no-run zones, etc.).
+                        {gameRules.notes.map((n) => (
+                          <div key={n}>{n}</div>
+                        ))}
+                        <div>Point values, PAT options and field size come from the game's rule set (Rules tab).</div>
                       </div>
                     </>
                   )}
@@ -748,50 +5816,44 @@ export default function App() {
               {/* Stats table */}
               <Card className="lg:col-span-2">
                 <CardBody>
-                  <SectionTitle>Player stats</SectionTitle>
+                  <div className="flex items-center justify-between gap-2">
+                    <SectionTitle>Player stats</SectionTitle>
+                    <div className="flex items-center gap-2">
+                      {hasPeriods ? (
+                        <div className="w-32">
+                          <Select value={statsSplit} onChange={(e) => setStatsSplit(e.target.value as typeof statsSplit)}>
+                            <option value="game">Full game</option>
+                            <option value="1">1st half</option>
+                            <option value="2">2nd half</option>
+                            <option value="OT">Overtime</option>
+                          </Select>
+                        </div>
+                      ) : null}
+                      <Btn variant="ghost" onClick={() => exportGameCSV("box")}>Box score CSV</Btn>
+                      <Btn variant="ghost" onClick={() => exportGameCSV("events")} disabled={selectedGame.events.length === 0}>
+                        Events CSV
+                      </Btn>
+                    </div>
+                  </div>
                   <div className="mt-3 overflow-auto rounded-xl border border-neutral-200 bg-white">
                     <table className="min-w-full text-sm">
                       <thead className="bg-neutral-50 text-neutral-600">
                         <tr>
                           <th className="px-3 py-2 text-left">Player</th>
-                          <th className="px-3 py-2 text-right">P/C-A</th>
-                          <th className="px-3 py-2 text-right">Pass TD</th>
-                          <th className="px-3 py-2 text-right">INT</th>
-                          <th className="px-3 py-2 text-right">Rush</th>
-                          <th className="px-3 py-2 text-right">Rush TD</th>
-                          <th className="px-3 py-2 text-right">Rec</th>
-                          <th className="px-3 py-2 text-right">Rec TD</th>
-                          <th className="px-3 py-2 text-right">FP</th>
-                          <th className="px-3 py-2 text-right">Sack</th>
-                          <th className="px-3 py-2 text-right">Def INT</th>
-                          <th className="px-3 py-2 text-right">Def TD</th>
-                          <th className="px-3 py-2 text-right">XP1</th>
-                          <th className="px-3 py-2 text-right">XP2</th>
-                          <th className="px-3 py-2 text-right">PAT RTN</th>
-                          <th className="px-3 py-2 text-right">Pts</th>
+                          <BoxScoreHead columns={gameColumns} />
                         </tr>
                       </thead>
                       <tbody>
-                        {store.players.map((p) => {
-                          const s = statsByPlayer[p.id] ?? emptyStats();
+                        {gamePlayers.map((p) => {
+                          const s = splitStats[p.id] ?? emptyStats();
                           return (
                             <tr key={p.id} className="border-t border-neutral-200">
-                              <td className="px-3 py-2 font-medium">{p.name}{p.jersey ? ` (${p.jersey})` : ""}</td>
-                              <td className="px-3 py-2 text-right tabular-nums">{s.passComp}-{s.passAtt}</td>
-                              <td className="px-3 py-2 text-right tabular-nums">{s.passTD}</td>
-                              <td className="px-3 py-2 text-right tabular-nums">{s.intThrown}</td>
-                              <td className="px-3 py-2 text-right tabular-nums">{s.rushAtt}</td>
-                              <td className="px-3 py-2 text-right tabular-nums">{s.rushTD}</td>
-                              <td className="px-3 py-2 text-right tabular-nums">{s.rec}</td>
-                              <td className="px-3 py-2 text-right tabular-nums">{s.recTD}</td>
-                              <td className="px-3 py-2 text-right tabular-nums">{s.flagPulls}</td>
-                              <td className="px-3 py-2 text-right tabular-nums">{s.sacks}</td>
-                              <td className="px-3 py-2 text-right tabular-nums">{s.defInt}</td>
-                              <td className="px-3 py-2 text-right tabular-nums">{s.defTD}</td>
-                              <td className="px-3 py-2 text-right tabular-nums">{s.xp1}</td>
-                              <td className="px-3 py-2 text-right tabular-nums">{s.xp2}</td>
-                              <td className="px-3 py-2 text-right tabular-nums">{s.patRet2}</td>
-                              <td className="px-3 py-2 text-right tabular-nums font-semibold">{s.points}</td>
+                              <td className="px-3 py-2 font-medium">
+                                <button className="hover:underline" onClick={() => openProfile(p.id)}>
+                                  {p.name}{p.jersey ? ` (${p.jersey})` : ""}
+                                </button>
+                              </td>
+                              <BoxScoreCells columns={gameColumns} s={s} />
                             </tr>
                           );
                         })}
@@ -800,74 +5862,145 @@ export default function App() {
                   </div>
 
                   <div className="mt-3 text-xs text-neutral-600">
-                    P/C-A = Pass Completions - Attempts. FP = Flag Pulls.
+                    P/C-A = Pass Completions - Attempts. Y/A = Yards per pass attempt. YPC = Yards per carry. FP = Flag Pulls. Long = Longest play.
                   </div>
                 </CardBody>
               </Card>
             </div>
 
+            {/* Drives */}
+            {drives.length > 0 ? (() => {
+              const cfg = gameRules;
+              const ours = downConversions(selectedGame, "us", cfg);
+              const theirs = downConversions(selectedGame, "them", cfg);
+              return (
+                <Card>
+                  <CardBody>
+                    <SectionTitle>Drives</SectionTitle>
+                    <div className="mt-2 grid grid-cols-2 gap-2 text-sm sm:grid-cols-4">
+                      <div>
+                        <div className="text-xs text-neutral-600">Our 3rd down</div>
+                        <div className="font-semibold tabular-nums">{fmtConversions(ours[3])}</div>
+                      </div>
+                      <div>
+                        <div className="text-xs text-neutral-600">Our 4th down</div>
+                        <div className="font-semibold tabular-nums">{fmtConversions(ours[4])}</div>
+                      </div>
+                      <div>
+                        <div className="text-xs text-neutral-600">Opp 3rd down</div>
+                        <div className="font-semibold tabular-nums">{fmtConversions(theirs[3])}</div>
+                      </div>
+                      <div>
+                        <div className="text-xs text-neutral-600">Opp 4th down</div>
+                        <div className="font-semibold tabular-nums">{fmtConversions(theirs[4])}</div>
+                      </div>
+                    </div>
+
+                    <div className="mt-4 space-y-1">
+                      {drives.map((d, i) => {
+                        const lo = Math.min(d.start, d.end);
+                        const hi = Math.max(d.start, d.end);
+                        return (
+                          <div key={d.n} className="flex items-center gap-2 text-xs">
+                            <div className="w-28 shrink-0 text-neutral-600">
+                              #{d.n} {d.possession === "us" ? "Us" : selectedGame.opponent}
+                            </div>
+                            <div className="relative h-4 flex-1 rounded bg-neutral-100">
+                              <div className="absolute inset-y-0 left-1/2 w-px bg-neutral-300" />
+                              <div
+                                className={cls(
+                                  "absolute inset-y-0 rounded",
+                                  d.result === "TD" && "bg-green-500",
+                                  (d.result === "INT" || d.result === "Pick 6" || d.result === "Safety") && "bg-red-500",
+                                  d.result === "Downs" && "bg-amber-500",
+                                  !d.result && "bg-neutral-400"
+                                )}
+                                style={{
+                                  left: `${(100 * lo) / cfg.fieldYards}%`,
+                                  width: `${Math.max(1, (100 * (hi - lo)) / cfg.fieldYards)}%`,
+                                }}
+                              />
+                            </div>
+                            <div className="w-40 shrink-0 text-right tabular-nums">
+                              {d.plays} plays • {d.end - d.start} yds • {d.result ?? (i === drives.length - 1 ? "In progress" : "Ended")}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                    <div className="mt-2 text-xs text-neutral-600">Bars run from each offense's own goal line (left) to the goal it attacks (right).</div>
+                  </CardBody>
+                </Card>
+              );
+            })() : null}
+
             {/* Event log */}
             <Card>
               <CardBody>
-                <SectionTitle>Event log (latest first)</SectionTitle>
+                <SectionTitle>Event log (latest first){lint.length ? ` • ${lint.length} warning${lint.length === 1 ? "" : "s"}` : ""}</SectionTitle>
                 <div className="mt-3 space-y-2">
+                  <LintList warnings={lint.filter((w) => !w.eventId)} onFix={applyLintFix} />
                   {selectedGame.events.length === 0 ? (
                     <div className="text-sm text-neutral-600">No events yet. Use Quick log to start tracking.</div>
                   ) : (
                     selectedGame.events.map((e) => {
                       const p = playersById[e.playerId];
                       const r = e.receiverId ? playersById[e.receiverId] : undefined;
-                      const label = (() => {
-                        switch (e.type) {
-                          case "PASS_ATT":
-                            return "Pass attempt";
-                          case "PASS_COMP":
-                            return `Completion${r ? ` → ${r.name}` : ""}`;
-                          case "PASS_TD":
-                            return `Pass TD${r ? ` → ${r.name}` : ""}`;
-                          case "INT_THROWN":
-                            return "Interception thrown";
-                          case "RUSH_ATT":
-                            return "Rush attempt";
-                          case "RUSH_TD":
-                            return "Rush TD";
-                          case "REC":
-                            return "Reception";
-                          case "REC_TD":
-                            return "Receiving TD";
-                          case "DEF_INT":
-                            return "Defensive INT";
-                          case "SACK":
-                            return "Sack";
-                          case "FLAG_PULL":
-                            return "Flag pull";
-                          case "DEF_TD":
-                            return "Defensive TD";
-                          case "XP_1":
-                            return "Extra point (1)";
-                          case "XP_2":
-                            return "Extra point (2)";
-                          case "PAT_RET_2":
-                            return "PAT return for 2";
-                          default:
-                            return e.type;
-                        }
-                      })();
+                      const label = eventLabel(e.type, r, e.penalty);
+
+                      if (editor?.eventId === e.id) {
+                        return (
+                          <EventEditor
+                            key={e.id}
+                            draft={editor.draft}
+                            players={gamePlayers}
+                            plays={gamePlays}
+                            onChange={(draft) => setEditor({ ...editor, draft })}
+                            onSave={saveEditor}
+                            onCancel={() => setEditor(null)}
+                          />
+                        );
+                      }
 
                       return (
-                        <div key={e.id} className="flex items-center justify-between gap-2 rounded-xl border border-neutral-200 bg-white p-3">
-                          <div>
-                            <div className="font-medium">
-                              {p ? p.name : "Unknown"}: {label}
+                        <React.Fragment key={e.id}>
+                          <div className="flex items-center justify-between gap-2 rounded-xl border border-neutral-200 bg-white p-3">
+                            <div>
+                              <div className="font-medium">
+                                {isOppEvent(e.type) ? selectedGame.opponent : p ? p.name : "Unknown"}: {label}
+                              </div>
+                              <div className="text-xs text-neutral-600">
+                                {new Date(e.ts).toLocaleTimeString()}{" "}
+                                {e.period ? `• ${fmtGameTime(e, gameRules)} ` : ""}
+                                {e.sit ? `• ${fmtDownDistance(e.sit, gameRules.fieldYards)} at ${fmtSpot(e.sit.spot, gameRules.fieldYards)}` : ""}{" "}
+                                {e.yards !== undefined ? `• ${e.yards} yds` : ""} {e.playId ? `• Play: ${playsById[e.playId]?.name ?? "?"} ` : ""}
+                                {e.note ? `• ${e.note}` : ""}
+                              </div>
                             </div>
-                            <div className="text-xs text-neutral-600">
-                              {new Date(e.ts).toLocaleTimeString()} {e.note ? `• ${e.note}` : ""}
+                            <div className="flex items-center gap-2">
+                              <Btn variant="ghost" onClick={() => startEdit(e)}>
+                                Edit
+                              </Btn>
+                              <Btn variant="ghost" onClick={() => startInsert(e.id)} title="Insert a missed play just before this one">
+                                Insert before
+                              </Btn>
+                              <Btn variant="danger" onClick={() => removeEvent(e.id)}>
+                                Remove
+                              </Btn>
                             </div>
                           </div>
-                          <Btn variant="danger" onClick={() => removeEvent(e.id)}>
-                            Remove
-                          </Btn>
-                        </div>
+                          <LintList warnings={lint.filter((w) => w.eventId === e.id)} onFix={applyLintFix} />
+                          {editor?.insertBefore === e.id ? (
+                            <EventEditor
+                              draft={editor.draft}
+                              players={gamePlayers}
+                              plays={gamePlays}
+                              onChange={(draft) => setEditor({ ...editor, draft })}
+                              onSave={saveEditor}
+                              onCancel={() => setEditor(null)}
+                            />
+                          ) : null}
+                        </React.Fragment>
                       );
                     })
                   )}
@@ -877,9 +6010,245 @@ export default function App() {
           </div>
         )}
 
+        {/* Print report */}
+        {tab === "report" && (reportKind === "season" || selectedGame) && (
+          <div className="mt-6">
+            <style>{PRINT_CSS}</style>
+            <div className="no-print mb-4 flex items-center gap-2">
+              <Btn onClick={() => window.print()}>Print / Save as PDF</Btn>
+              <Btn variant="ghost" onClick={() => navigate(selectedGame && reportKind === "game" ? { tab: "game", gameId: selectedGame.id } : { tab: "season" })}>
+                Back
+              </Btn>
+            </div>
+
+            {reportKind === "game" && selectedGame ? (() => {
+              const score = selectedGame.final ?? liveScore;
+              const fieldYards = gameRules.fieldYards;
+              return (
+                <div className="report space-y-6 rounded-2xl border border-neutral-200 bg-white p-6">
+                  <div>
+                    <div className="text-2xl font-bold">
+                      {activeTeam?.name ?? "Us"} {score.us} — {selectedGame.opponent} {score.them}
+                    </div>
+                    <div className="text-sm text-neutral-600">
+                      {fmtDate(selectedGame.dateISO)} • {gameRules.name} •{" "}
+                      {selectedGame.final ? `Final (${gameResult(selectedGame.final)})` : "In progress"}
+                    </div>
+                  </div>
+
+                  <section>
+                    <h2 className="mb-2 text-lg font-semibold">Player stats</h2>
+                    <table className="min-w-full text-xs">
+                      <thead>
+                        <tr>
+                          <th className="px-2 py-1 text-left">Player</th>
+                          <BoxScoreHead columns={gameColumns} />
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {gamePlayers.map((p) => (
+                          <tr key={p.id} className="border-t border-neutral-200">
+                            <td className="px-2 py-1 font-medium">{p.name}{p.jersey ? ` (${p.jersey})` : ""}</td>
+                            <BoxScoreCells columns={gameColumns} s={statsByPlayer[p.id] ?? emptyStats()} />
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </section>
+
+                  <section>
+                    <h2 className="mb-2 text-lg font-semibold">Scoring summary</h2>
+                    {scoringSummary(selectedGame, gameRules).length === 0 ? (
+                      <div className="text-sm text-neutral-600">No scoring.</div>
+                    ) : (
+                      <table className="min-w-full text-xs">
+                        <thead>
+                          <tr>
+                            <th className="px-2 py-1 text-left">Time</th>
+                            <th className="px-2 py-1 text-left">Team</th>
+                            <th className="px-2 py-1 text-left">Play</th>
+                            <th className="px-2 py-1 text-right">Score</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {scoringSummary(selectedGame, gameRules).map(({ e, score: sc }) => (
+                            <tr key={e.id} className="border-t border-neutral-200">
+                              <td className="px-2 py-1">{fmtGameTime(e, gameRules) || new Date(e.ts).toLocaleTimeString()}</td>
+                              <td className="px-2 py-1">{isOppEvent(e.type) ? selectedGame.opponent : activeTeam?.name ?? "Us"}</td>
+                              <td className="px-2 py-1">
+                                {isOppEvent(e.type) ? "" : `${playersById[e.playerId]?.name ?? "Unknown"}: `}
+                                {eventLabel(e.type, e.receiverId ? playersById[e.receiverId] : undefined, e.penalty)}
+                                {e.yards !== undefined ? ` (${e.yards} yds)` : ""}
+                              </td>
+                              <td className="px-2 py-1 text-right tabular-nums">{sc.us}-{sc.them}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </section>
+
+                  <section>
+                    <h2 className="mb-2 text-lg font-semibold">Event log</h2>
+                    <table className="min-w-full text-xs">
+                      <thead>
+                        <tr>
+                          <th className="px-2 py-1 text-left">Time</th>
+                          <th className="px-2 py-1 text-left">Player</th>
+                          <th className="px-2 py-1 text-left">Event</th>
+                          <th className="px-2 py-1 text-left">Situation</th>
+                          <th className="px-2 py-1 text-right">Yds</th>
+                          <th className="px-2 py-1 text-left">Note</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[...selectedGame.events].sort((a, b) => a.ts - b.ts).map((e) => (
+                          <tr key={e.id} className="border-t border-neutral-200">
+                            <td className="px-2 py-1">{fmtGameTime(e, gameRules) || new Date(e.ts).toLocaleTimeString()}</td>
+                            <td className="px-2 py-1">{isOppEvent(e.type) ? selectedGame.opponent : playersById[e.playerId]?.name ?? "Unknown"}</td>
+                            <td className="px-2 py-1">{eventLabel(e.type, e.receiverId ? playersById[e.receiverId] : undefined, e.penalty)}</td>
+                            <td className="px-2 py-1">{e.sit ? `${fmtDownDistance(e.sit, fieldYards)} at ${fmtSpot(e.sit.spot, fieldYards)}` : ""}</td>
+                            <td className="px-2 py-1 text-right tabular-nums">{e.yards ?? ""}</td>
+                            <td className="px-2 py-1">{e.note ?? ""}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </section>
+                </div>
+              );
+            })() : null}
+
+            {reportKind === "season" ? (
+              <div className="report space-y-6 rounded-2xl border border-neutral-200 bg-white p-6">
+                <div>
+                  <div className="text-2xl font-bold">
+                    {statsScope === "career" ? "Career report" : `${activeTeam?.name ?? ""} • ${activeSeason?.name ?? ""}`}
+                  </div>
+                  <div className="text-sm text-neutral-600">
+                    {seasonGames.length} games
+                    {seasonFrom || seasonTo ? ` • ${seasonFrom || "…"} to ${seasonTo || "…"}` : ""}
+                    {seasonRuleSet !== "ALL" ? ` • ${ruleSetOf(store.ruleSets, seasonRuleSet).name}` : ""}
+                    {` • Record ${seasonGames.filter((g) => g.final && gameResult(g.final) === "W").length}-${
+                      seasonGames.filter((g) => g.final && gameResult(g.final) === "L").length
+                    }-${seasonGames.filter((g) => g.final && gameResult(g.final) === "T").length}`}
+                  </div>
+                </div>
+
+                <section>
+                  <h2 className="mb-2 text-lg font-semibold">Results</h2>
+                  <table className="min-w-full text-xs">
+                    <thead>
+                      <tr>
+                        <th className="px-2 py-1 text-left">Date</th>
+                        <th className="px-2 py-1 text-left">Opponent</th>
+                        <th className="px-2 py-1 text-left">Rules</th>
+                        <th className="px-2 py-1 text-right">Score</th>
+                        <th className="px-2 py-1 text-right">Result</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {seasonGames.map((g) => {
+                        const sc = g.final ?? computeScore(g, rulesOf(g));
+                        return (
+                          <tr key={g.id} className="border-t border-neutral-200">
+                            <td className="px-2 py-1">{fmtDate(g.dateISO)}</td>
+                            <td className="px-2 py-1">{g.opponent}</td>
+                            <td className="px-2 py-1">{rulesOf(g).name}</td>
+                            <td className="px-2 py-1 text-right tabular-nums">{sc.us}-{sc.them}</td>
+                            <td className="px-2 py-1 text-right">{g.final ? gameResult(g.final) : "—"}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </section>
+
+                <section>
+                  <h2 className="mb-2 text-lg font-semibold">{seasonPerGame ? "Per-game averages" : "Totals"}</h2>
+                  <table className="min-w-full text-xs">
+                    <thead>
+                      <tr>
+                        <th className="px-2 py-1 text-left">Player</th>
+                        <th className="px-2 py-1 text-right">GP</th>
+                        <BoxScoreHead columns={seasonColumns} />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {statsPlayers.map((p) => {
+                        const gp = seasonStats.gamesPlayed[p.id] ?? 0;
+                        return (
+                          <tr key={p.id} className="border-t border-neutral-200">
+                            <td className="px-2 py-1 font-medium">{p.name}{p.jersey ? ` (${p.jersey})` : ""}</td>
+                            <td className="px-2 py-1 text-right tabular-nums">{gp}</td>
+                            <BoxScoreCells columns={seasonColumns} s={seasonStats.totals[p.id] ?? emptyStats()} per={seasonPerGame ? gp : 1} />
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </section>
+
+                <section>
+                  <h2 className="mb-2 text-lg font-semibold">Leaders</h2>
+                  <div className="grid grid-cols-2 gap-4 sm:grid-cols-4">
+                    {LEADERBOARDS.map((lb) => (
+                      <div key={lb.key}>
+                        <div className="text-xs font-medium text-neutral-600">{lb.label}</div>
+                        {statsPlayers
+                          .map((p) => ({ p, v: seasonStats.totals[p.id]?.[lb.key] ?? 0 }))
+                          .filter((x) => x.v > 0)
+                          .sort((a, b) => b.v - a.v)
+                          .slice(0, 3)
+                          .map(({ p, v }) => (
+                            <div key={p.id} className="flex justify-between text-xs">
+                              <span>{p.name}</span>
+                              <span className="tabular-nums">{v}</span>
+                            </div>
+                          ))}
+                      </div>
+                    ))}
+                  </div>
+                </section>
+              </div>
+            ) : null}
+          </div>
+        )}
+
+        {/* Undo toast */}
+        {toast && (
+          <div className="no-print fixed inset-x-0 bottom-4 z-50 flex justify-center px-4">
+            <div className="flex items-center gap-3 rounded-2xl bg-neutral-900 px-4 py-3 text-sm text-white shadow-lg">
+              <span>{toast.message}</span>
+              {canUndoEntry(toast.entryId) ? (
+                <button
+                  className="font-semibold underline"
+                  onClick={() => {
+                    undo(toast.entryId);
+                    setToast(null);
+                  }}
+                >
+                  Undo
+                </button>
+              ) : null}
+            </div>
+          </div>
+        )}
+
         {/* Footer */}
-        <div className="mt-10 text-xs text-neutral-500">
-          MVP notes: This version is single-user and stores data locally. Next upgrades: login, team seasons, multi-device sync (Supabase/Firebase), play-by-play with down/distance, and PDF box score exports.
+        <div className="no-print mt-10 text-xs text-neutral-500">
+          MVP notes: Data is stored locally ({storage.kind === "IndexedDB" ? "IndexedDB" : "localStorage; IndexedDB isn't available in this browser"}
+          {persisted === true ? ", protected from browser cleanup" : ""}).{" "}
+          {persisted === false ? (
+            <>
+              The browser may clear it when space runs low;{" "}
+              <button className="underline" onClick={() => keepData(true)}>
+                ask to keep it
+              </button>{" "}
+              or install the app.{" "}
+            </>
+          ) : null}
+          Install the app from your browser menu to use it with no signal. For multi-device sync, host the reference server (npm run sync-server) and connect to it from the Sync tab.
         </div>
       </div>
     </div>
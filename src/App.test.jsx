@@ -0,0 +1,420 @@
+import { describe, expect, it } from "vitest";
+import {
+  advancePlay,
+  applyMerge,
+  applyOps,
+  buildDrives,
+  commandSuggestions,
+  emptyStore,
+  historyEntry,
+  lintGame,
+  mergePlayers,
+  MIGRATIONS,
+  packShare,
+  parseCommand,
+  parseCSV,
+  parseRosterCSV,
+  planMerge,
+  readyOps,
+  RULESET_PRESETS,
+  toCSV,
+  undoHistory,
+  unpackShare,
+  validateStore,
+  winningOps,
+} from "./App.jsx";
+
+const rules = RULESET_PRESETS[0];
+const players = [
+  { id: "p1", name: "Ava", jersey: "12" },
+  { id: "p2", name: "Ben", jersey: "7" },
+];
+const plays = [{ id: "pl1", teamId: "t1", name: "Slant" }];
+const parse = (text) => parseCommand(text, players, rules, "", plays);
+
+describe("parseCommand", () => {
+  it("parses a completion with receiver and yards", () => {
+    expect(parse("12 c 7 14y")).toEqual({
+      events: [{ type: "PASS_COMP", playerId: "p1", receiverId: "p2", yards: 14, penalty: undefined, note: undefined, playId: undefined }],
+      errors: [],
+    });
+  });
+
+  it("reports unknown codes", () => {
+    expect(parse("12 zz")).toEqual({ events: [], errors: ['Unknown code "zz"'] });
+    expect(parse("opp zz")).toEqual({ events: [], errors: ['Unknown code "zz"'] });
+  });
+
+  it("treats Object.prototype names as unknown codes", () => {
+    for (const tok of ["constructor", "__proto__", "tostring", "hasownproperty", "valueof"]) {
+      expect(parse(`12 ${tok}`)).toEqual({ events: [], errors: [`Unknown code "${tok}"`] });
+      expect(parse(`opp ${tok}`)).toEqual({ events: [], errors: [`Unknown code "${tok}"`] });
+      expect(parse(tok).events).toEqual([]);
+    }
+  });
+
+  it("rejects jersey numbers in opponent commands", () => {
+    const err = "Opponent plays don't take jersey numbers";
+    expect(parse("opp td 12")).toEqual({ events: [{ type: "OPP_TD", playerId: "", receiverId: undefined, yards: undefined, penalty: undefined, note: undefined, playId: undefined }], errors: [err] });
+    expect(parse("opp td 99").errors).toEqual([err]);
+    expect(parse("opp td #12 7").errors).toEqual([err]);
+    expect(parse("opp td").errors).toEqual([]);
+  });
+
+  it("doesn't suggest Object.prototype names", () => {
+    expect(commandSuggestions("12 con", players, rules, plays)).toEqual([]);
+    expect(commandSuggestions("12 __", players, rules, plays)).toEqual([]);
+  });
+});
+
+describe("undoHistory", () => {
+  const base = { ...emptyStore(), players: [{ id: "p1", name: "Ava" }, { id: "p2", name: "Ben" }] };
+  const rename = (s, id, name) => ({ ...s, players: s.players.map((p) => (p.id === id ? { ...p, name } : p)) });
+  const names = (s) => s.players.map((p) => p.name);
+  // Each change becomes an entry, the way setStore records them.
+  const record = (changes) => {
+    let h = { past: [], present: base, future: [] };
+    changes.forEach((change, i) => {
+      const next = change(h.present);
+      h = { past: [...h.past, historyEntry(`h${i}`, h.present, next)], present: next, future: [] };
+    });
+    return h;
+  };
+
+  it("undoes an older entry on its own when later entries touch other records", () => {
+    const h = undoHistory(record([(s) => rename(s, "p1", "Avery"), (s) => rename(s, "p2", "Benny")]), "h0");
+    expect(names(h.present)).toEqual(["Ava", "Benny"]);
+    expect(h.past.map((e) => e.id)).toEqual(["h1"]);
+    expect(h.future.map((e) => e.id)).toEqual(["h0"]);
+  });
+
+  it("undoes down to an older entry when a later one touched the same record", () => {
+    const h = undoHistory(record([(s) => rename(s, "p1", "Avery"), (s) => rename(s, "p1", "Aves")]), "h0");
+    expect(names(h.present)).toEqual(["Ava", "Ben"]);
+    expect(h.past).toEqual([]);
+    expect(h.future.map((e) => e.id)).toEqual(["h0", "h1"]);
+  });
+
+  it("ignores an entry that is no longer in the history", () => {
+    const h = record([(s) => rename(s, "p1", "Avery")]);
+    expect(undoHistory(h, "gone")).toBe(h);
+  });
+});
+
+describe("mergePlayers", () => {
+  const ev = (id, type, playerId, receiverId) => ({ id, ts: 1, type, playerId, receiverId });
+  const store = (events) => ({
+    ...emptyStore(),
+    players: [{ id: "p1", name: "Ava", jersey: "12" }, { id: "p2", name: "Ava B", position: "QB" }, { id: "p3", name: "Cy" }],
+    seasons: [{ id: "s1", name: "Fall", playerIds: ["p1", "p2"] }],
+    games: [{ id: "g1", seasonId: "s1", opponent: "Hawks", dateISO: "2026-10-01", ruleSet: rules.id, events }],
+  });
+
+  it("moves the duplicate's events and roster spot to the kept player", () => {
+    const s = mergePlayers(store([ev("e1", "PASS_COMP", "p2", "p3"), ev("e2", "PASS_TD", "p3", "p2")]), "p1", "p2");
+    expect(s.players).toEqual([{ id: "p1", name: "Ava", jersey: "12", position: "QB" }, { id: "p3", name: "Cy" }]);
+    expect(s.seasons[0].playerIds).toEqual(["p1"]);
+    expect(s.games[0].events.map((e) => [e.playerId, e.receiverId])).toEqual([["p1", "p3"], ["p3", "p1"]]);
+  });
+
+  it("refuses players who passed to each other", () => {
+    for (const [from, to] of [["p2", "p1"], ["p1", "p2"]]) {
+      const s = store([ev("e1", "PASS_COMP", from, to)]);
+      expect(mergePlayers(s, "p1", "p2")).toBe(s);
+    }
+  });
+});
+
+describe("advancePlay", () => {
+  const sit = (down, spot, extra = {}) => ({ possession: "us", down, spot, lineToGain: 25, drive: 1, ...extra });
+  const snap = (type, yards) => ({ id: "e", ts: 1, type, playerId: "p1", yards });
+
+  it("moves the chains to the goal line past midfield", () => {
+    expect(advancePlay(sit(2, 20), snap("RUSH_ATT", 8), rules)).toEqual({ next: sit(1, 28, { lineToGain: 50 }), firstDown: true });
+  });
+
+  it("turns the ball over on downs", () => {
+    expect(advancePlay(sit(4, 20), snap("RUSH_ATT", 2), rules)).toEqual({
+      next: { possession: "them", down: 1, spot: 5, lineToGain: 25, drive: 2 },
+      firstDown: false,
+      result: "Downs",
+    });
+  });
+
+  it("walks a penalty off against the side that fouled and replays the down", () => {
+    expect(advancePlay(sit(3, 20), snap("PENALTY", 5), rules).next).toEqual(sit(3, 15));
+    expect(advancePlay(sit(3, 20), snap("OPP_PENALTY", 5), rules).next).toEqual(sit(1, 25, { lineToGain: 50 }));
+  });
+
+  it("gives the ball back to the offense only after a pick 6", () => {
+    expect(advancePlay(sit(1, 40), snap("PASS_TD", 10), rules).next.possession).toBe("them");
+    expect(advancePlay(sit(1, 40), snap("OPP_DEF_TD"), rules)).toMatchObject({ next: { possession: "us", drive: 2 }, result: "Pick 6" });
+  });
+});
+
+describe("buildDrives", () => {
+  it("groups stamped snaps into drives in time order", () => {
+    const events = [
+      { id: "e3", ts: 3, type: "OPP_PLAY", playerId: "", yards: 3, sit: { possession: "them", down: 1, spot: 5, lineToGain: 25, drive: 2 } },
+      { id: "e2", ts: 2, type: "PASS_TD", playerId: "p1", yards: 35, sit: { possession: "us", down: 2, spot: 15, lineToGain: 25, drive: 1 } },
+      { id: "x", ts: 2, type: "FLAG_PULL", playerId: "p1" },
+      { id: "e1", ts: 1, type: "RUSH_ATT", playerId: "p1", yards: 10, sit: { possession: "us", down: 1, spot: 5, lineToGain: 25, drive: 1 } },
+    ];
+    expect(buildDrives({ id: "g1", events }, rules)).toEqual([
+      { n: 1, possession: "us", start: 5, end: 50, plays: 2, result: "TD" },
+      { n: 2, possession: "them", start: 5, end: 8, plays: 1, result: undefined },
+    ]);
+  });
+});
+
+describe("validateStore", () => {
+  const v1 = {
+    players: [{ id: "p1", name: "Ava" }],
+    games: [{ id: "g1", opponent: "Hawks", dateISO: "2026-10-01", ruleSet: rules.id, events: [{ id: "e1", ts: 1, type: "FLAG_PULL", playerId: "p1" }] }],
+    ui: { selectedGameId: "g1" },
+  };
+
+  it("migrates v1 data into a default team and season", () => {
+    const { store, issues } = validateStore(v1);
+    expect(issues).toEqual([]);
+    expect(store.version).toBe(Object.keys(MIGRATIONS).length + 1);
+    expect(store.teams).toHaveLength(1);
+    expect(store.seasons).toEqual([expect.objectContaining({ teamId: store.teams[0].id, playerIds: ["p1"] })]);
+    expect(store.games[0]).toMatchObject({ id: "g1", seasonId: store.seasons[0].id });
+    expect(store.ui).toEqual({ selectedGameId: "g1", seasonId: store.seasons[0].id });
+    expect(store.ruleSets).toEqual([]);
+    expect(store.plays).toEqual([]);
+  });
+
+  it("has migrations that leave current data alone", () => {
+    const { store } = validateStore({
+      ...v1,
+      ruleSets: [{ ...RULESET_PRESETS[0], id: "r1", name: "House", builtIn: undefined, halfMinutes: 15 }],
+    });
+    for (const migration of Object.values(MIGRATIONS)) expect(migration(store)).toEqual(store);
+    expect(validateStore(store)).toEqual({ store, issues: [] });
+  });
+
+  it("refuses data from a newer version", () => {
+    expect(validateStore({ ...v1, version: 99 }).store).toBeUndefined();
+  });
+
+  it("repairs or skips a bad record depending on the mode", () => {
+    const input = { ...v1, games: [{ ...v1.games[0], events: [{ id: "e1", ts: 1, type: "PASS_COMP", playerId: "p1", receiverId: "ghost" }] }] };
+    const repaired = validateStore(input, "repair");
+    expect(repaired.issues).toEqual([{ path: "games[0].events[0]", message: "Unknown receiver ghost.", repair: "Drop the receiver" }]);
+    expect(repaired.store.games[0].events).toEqual([expect.objectContaining({ id: "e1", receiverId: undefined })]);
+    expect(validateStore(input, "skip").store.games[0].events).toEqual([]);
+  });
+
+  it("drops a situation with an unknown possession", () => {
+    const sit = { possession: "both", down: 1, spot: 5, lineToGain: 25, drive: 1 };
+    const { store, issues } = validateStore({ ...v1, games: [{ ...v1.games[0], pbp: sit }] });
+    expect(issues.map((i) => i.message)).toEqual(["Play-by-play situation is malformed."]);
+    expect(store.games[0].pbp).toBeUndefined();
+  });
+});
+
+describe("planMerge", () => {
+  const side = (players, events) => ({
+    version: 5,
+    players,
+    teams: [{ id: "t1", name: "Bolts" }],
+    seasons: [{ id: "s1", teamId: "t1", name: "Fall", playerIds: players.map((p) => p.id) }],
+    games: [{ id: "g1", seasonId: "s1", opponent: "Hawks", dateISO: "2026-10-01", ruleSet: rules.id, events }],
+    ruleSets: [],
+    plays: [],
+    ui: {},
+  });
+  const ev = (id, ts, type, playerId, yards) => ({ id, ts, type, playerId, yards });
+  const local = side([{ id: "p1", name: "Ava", jersey: "12" }], [ev("e1", 1_000, "RUSH_ATT", "p1", 4)]);
+  // The other phone knows Ava under its own id and has a player this one lacks.
+  const incoming = side(
+    [
+      { id: "x1", name: "ava", jersey: "12", position: "QB" },
+      { id: "x2", name: "Ben" },
+    ],
+    [ev("e1", 1_000, "RUSH_ATT", "x1", 6), ev("e2", 200_000, "FLAG_PULL", "x2"), ev("e3", 1_500, "RUSH_ATT", "x1", 4)]
+  );
+
+  it("matches players by name and jersey and unions the events", () => {
+    const { merged, summary } = planMerge(local, incoming);
+    expect(merged.players).toEqual([
+      { id: "p1", name: "Ava", jersey: "12", position: "QB" },
+      { id: "x2", name: "Ben" },
+    ]);
+    expect(merged.seasons[0].playerIds).toEqual(["p1", "x2"]);
+    expect(merged.games).toHaveLength(1);
+    expect(merged.games[0].events.map((e) => [e.id, e.playerId])).toEqual([
+      ["e2", "x2"],
+      ["e1", "p1"],
+    ]);
+    expect(summary).toEqual({ playersAdded: 1, gamesAdded: 0, gamesMatched: 1, eventsAdded: 1, duplicates: 2 });
+  });
+
+  it("turns disagreements into conflicts that keep the local side unless chosen", () => {
+    const plan = planMerge(local, incoming);
+    expect(plan.conflicts.map((c) => c.key)).toEqual(["player:p1:name", "event:e1", "dup:e3"]);
+    expect(applyMerge(plan, {})).toBe(plan.merged);
+    const both = applyMerge(plan, { "event:e1": "incoming", "dup:e3": "incoming" });
+    expect(both.games[0].events.map((e) => [e.id, e.yards])).toEqual([
+      ["e2", undefined],
+      ["e3", 4],
+      ["e1", 6],
+    ]);
+  });
+});
+
+describe("parseCSV", () => {
+  it("reads quoted fields, doubled quotes and CRLF", () => {
+    expect(parseCSV('name,note\r\n"Lee, Jo","said ""hi""\nthen left"\r\n')).toEqual([
+      ["name", "note"],
+      ["Lee, Jo", 'said "hi"\nthen left'],
+    ]);
+  });
+
+  it("reads tab-separated text and skips blank lines", () => {
+    expect(parseCSV("Ava\t12\n\nBen\t7")).toEqual([
+      ["Ava", "12"],
+      ["Ben", "7"],
+    ]);
+  });
+
+  it("reads back what toCSV writes", () => {
+    const rows = [
+      ["a", 'quote "q"', "comma, here"],
+      ["line\nbreak", "", "x"],
+    ];
+    expect(parseCSV(toCSV(rows))).toEqual(rows);
+  });
+});
+
+describe("parseRosterCSV", () => {
+  it("uses the header's column order when there is one", () => {
+    expect(parseRosterCSV("Jersey,Name\n12,Ava\n,Ben\n7,")).toEqual([
+      { name: "Ava", jersey: "12", position: undefined },
+      { name: "Ben", jersey: undefined, position: undefined },
+    ]);
+  });
+
+  it("reads name, jersey, position without a header", () => {
+    expect(parseRosterCSV(" Ava , 12 ,QB\nBen")).toEqual([
+      { name: "Ava", jersey: "12", position: "QB" },
+      { name: "Ben", jersey: undefined, position: undefined },
+    ]);
+  });
+});
+
+describe("lintGame", () => {
+  const game = (events, extra = {}) => ({ id: "g1", seasonId: "s1", opponent: "Hawks", dateISO: "2026-10-01", ruleSet: rules.id, events, ...extra });
+  const ev = (id, ts, type, playerId, receiverId) => ({ id, ts, type, playerId, receiverId });
+  const lint = (g) => lintGame(g, rules, players);
+  const fixed = (g, key) => lint(g).find((w) => w.key === key).fix.apply(g);
+
+  it("passes a clean game", () => {
+    expect(lint(game([ev("e2", 2, "XP_1", "p1"), ev("e1", 1, "PASS_TD", "p1", "p2")]))).toEqual([]);
+  });
+
+  it("flags a receiving TD logged on top of the pass TD and removes it", () => {
+    const g = game([ev("e2", 2, "REC_TD", "p2"), ev("e1", 1, "PASS_TD", "p1", "p2")]);
+    expect(lint(g).map((w) => w.key)).toEqual(["double:e2"]);
+    expect(lint(fixed(g, "double:e2"))).toEqual([]);
+  });
+
+  it("flags a try with no touchdown before it", () => {
+    const g = game([ev("e1", 1, "XP_1", "p1")]);
+    expect(lint(g).map((w) => w.key)).toEqual(["try:e1"]);
+    expect(fixed(g, "try:e1").events).toEqual([]);
+  });
+
+  it("flags a pass to the passer", () => {
+    const g = game([ev("e1", 1, "PASS_COMP", "p1", "p1")]);
+    expect(lint(g).map((w) => w.key)).toEqual(["self:e1"]);
+    expect(fixed(g, "self:e1").events[0].receiverId).toBeUndefined();
+  });
+
+  it("flags a final score that doesn't match the events", () => {
+    const g = game([ev("e1", 1, "PASS_TD", "p1", "p2")], { final: { us: 7, them: 0 } });
+    expect(lint(g).map((w) => w.key)).toEqual(["final"]);
+    expect(fixed(g, "final").final).toEqual({ us: 6, them: 0 });
+  });
+});
+
+describe("sync ops", () => {
+  const op = (key, at, device, value) => ({ key, at, device, value });
+  const head = { id: "g1", seasonId: "s1", opponent: "Hawks", dateISO: "2026-10-01", ruleSet: rules.id };
+  const event = (id, ts) => ({ id, ts, type: "FLAG_PULL", playerId: "p1" });
+  const base = { ...emptyStore(), players: [{ id: "p1", name: "Ava" }] };
+
+  it("lets the highest stamp win whatever order the ops arrive in", () => {
+    const ops = [
+      op("player:p1", 5, "B", { id: "p1", name: "B5" }),
+      op("player:p1", 7, "A", { id: "p1", name: "A7" }),
+      op("player:p1", 7, "C", { id: "p1", name: "C7" }),
+    ];
+    for (const order of [ops, [...ops].reverse(), [ops[1], ops[2], ops[0]]]) {
+      const { winners, stamps } = winningOps(order, {});
+      expect(applyOps(base, winners).players).toEqual([{ id: "p1", name: "C7" }]);
+      expect(stamps).toEqual({ "player:p1": { at: 7, device: "C" } });
+    }
+  });
+
+  it("ignores ops older than what is already applied", () => {
+    const stamps = { "player:p1": { at: 9, device: "A" } };
+    expect(winningOps([op("player:p1", 8, "B", { id: "p1", name: "Old" })], stamps).winners).toEqual([]);
+    expect(winningOps([op("player:p1", 9, "A", { id: "p1", name: "Same" })], stamps).winners).toEqual([]);
+  });
+
+  it("keeps a game's events when its record changes and deletes with an op without a value", () => {
+    let s = applyOps(base, [op("game:g1", 1, "A", head), op("event:g1:e1", 2, "A", event("e1", 1)), op("event:g1:e2", 3, "A", event("e2", 2))]);
+    expect(s.games[0].events.map((e) => e.id)).toEqual(["e2", "e1"]);
+    s = applyOps(s, [op("game:g1", 4, "B", { ...head, opponent: "Owls" }), op("event:g1:e2", 5, "B")]);
+    expect(s.games).toEqual([{ ...head, opponent: "Owls", events: [event("e1", 1)] }]);
+    expect(applyOps(s, [op("game:g1", 6, "A")]).games).toEqual([]);
+  });
+
+  it("holds back events for a game that hasn't arrived yet", () => {
+    const early = op("event:g1:e1", 2, "A", event("e1", 1));
+    expect(readyOps(base, [early], {})).toEqual({ ready: [], deferred: [early] });
+    const game = op("game:g1", 1, "A", head);
+    expect(readyOps(base, [game, early], {})).toEqual({ ready: [game, early], deferred: [] });
+    // A game this device saw deleted takes the event with it.
+    expect(readyOps(base, [early], { "game:g1": { at: 3, device: "B" } })).toEqual({ ready: [early], deferred: [] });
+  });
+});
+
+describe("share links", () => {
+  const sit = { possession: "us", down: 1, spot: 5, lineToGain: 25, drive: 1 };
+  const game = {
+    id: "g1",
+    seasonId: "s1",
+    opponent: "Hawks",
+    dateISO: "2026-10-01",
+    ruleSet: "house",
+    events: [{ id: "e1", ts: 1, type: "PASS_COMP", playerId: "p1", receiverId: "p2", yards: 12, sit, playId: "pl1" }],
+    final: { us: 0, them: 0 },
+    pbp: sit,
+  };
+  const house = { ...RULESET_PRESETS[0], id: "house", name: "House", builtIn: undefined };
+
+  it("round-trips a game with only its players and without the private fields", async () => {
+    const code = await packShare(game, [...players, { id: "p3", name: "Cy" }], house, "Bolts");
+    expect(code).toMatch(/^[A-Za-z0-9_-]+$/);
+    const { store, team, issues } = await unpackShare(code);
+    expect(issues).toEqual([]);
+    expect(team).toBe("Bolts");
+    expect(store.players).toEqual(players);
+    expect(store.ruleSets).toEqual([expect.objectContaining({ id: "house", name: "House" })]);
+    expect(store.games).toEqual([expect.objectContaining({ id: "g1", seasonId: "shared", final: game.final, pbp: undefined })]);
+    expect(store.games[0].events).toEqual([{ ...game.events[0], sit: undefined, playId: undefined }]);
+  });
+
+  it("leaves a built-in rule set out of the shared store", async () => {
+    const code = await packShare(game, players, RULESET_PRESETS[0], "Bolts");
+    expect((await unpackShare(code)).store.ruleSets).toEqual([]);
+  });
+
+  it("rejects a link that isn't a shared game", async () => {
+    await expect(unpackShare("bm90IGEgZ2FtZQ")).rejects.toThrow();
+  });
+});
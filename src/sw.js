@@ -0,0 +1,45 @@
+// Service worker template. The build (vite.config.js) fills in the version and
+// the list of built files, and emits it as /sw.js.
+//
+// Built files are precached on install, so the app loads with no signal at all.
+// A new version installs in the background and waits until the app asks it to
+// take over (the "Update available" prompt), so a game in progress never
+// reloads by surprise.
+
+const VERSION = "__VERSION__";
+const PRECACHE = __PRECACHE__;
+const CACHE = `flag-stats-${VERSION}`;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("flag-stats-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+  // Sync servers and anything else off-origin go straight to the network.
+  if (req.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (req.mode === "navigate") {
+    // Fresh page when online, the cached app shell when not.
+    event.respondWith(fetch(req).catch(() => caches.match("./", { cacheName: CACHE })));
+    return;
+  }
+
+  event.respondWith(
+    caches.match(req, { cacheName: CACHE }).then((hit) => hit ?? fetch(req))
+  );
+});
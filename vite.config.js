@@ -0,0 +1,37 @@
+import { createHash } from "node:crypto";
+import { readFileSync, readdirSync } from "node:fs";
+import { defineConfig } from "vite";
+import react from "@vitejs/plugin-react";
+
+// Emits sw.js from src/sw.js with the list of files to precache: everything
+// the build wrote plus the files in public/. The version is a hash of those
+// files, so every deploy that changes anything ships a new service worker.
+function serviceWorker() {
+  return {
+    name: "flag-stats-service-worker",
+    apply: "build",
+    enforce: "post",
+    generateBundle(_options, bundle) {
+      const publicFiles = readdirSync("public");
+      const files = ["./", ...Object.keys(bundle).filter((f) => !f.endsWith(".map")), ...publicFiles];
+      const hash = createHash("sha256");
+      for (const f of Object.keys(bundle).sort()) {
+        const out = bundle[f];
+        hash.update(f).update(out.type === "chunk" ? out.code : out.source);
+      }
+      for (const f of publicFiles.sort()) hash.update(f).update(readFileSync(`public/${f}`));
+      const source = readFileSync("src/sw.js", "utf8")
+        .replace('"__VERSION__"', JSON.stringify(hash.digest("hex").slice(0, 12)))
+        .replace("__PRECACHE__", JSON.stringify(files));
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
+
+export default defineConfig({
+  base: "./",
+  plugins: [react(), serviceWorker()],
+  // src/*.jsx is written with TypeScript annotations.
+  esbuild: { loader: "tsx", include: /src\/.*\.jsx$/, jsx: "automatic" },
+  optimizeDeps: { esbuildOptions: { loader: { ".jsx": "tsx" } } },
+});